@@ -0,0 +1,104 @@
+// Smart Jam service worker
+// Keeps the app usable without a network connection: the TensorFlow.js and
+// Magenta bundles are precached and model checkpoints are cached on first
+// use, both served cache-first; everything else is served network-first with
+// the cached copy as a fallback.
+const CACHE_VERSION = 'v1';
+const APP_CACHE = `smart-jam-app-${CACHE_VERSION}`;
+const MODEL_CACHE = `smart-jam-models-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './manifest.json',
+  './worklets/capture-processor.js'
+];
+
+// Precached where cacheFirst looks for them (see MODEL_URL_PATTERNS)
+const MODEL_PRECACHE_URLS = [
+  './vendor/tfjs/tf.min.js',
+  './vendor/magenta/music_rnn.js',
+  './vendor/magenta/music_vae.js'
+];
+
+// Large, immutable files: cache-first
+const MODEL_URL_PATTERNS = [
+  /\/vendor\//,
+  /\/checkpoints\//,
+  /^https:\/\/storage\.googleapis\.com\/download\.magenta\.tensorflow\.org\//,
+  /^https:\/\/cdn\.jsdelivr\.net\/npm\/@(magenta|tensorflow)\//
+];
+
+// Add one by one so a missing file doesn't abort the install
+async function precache(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(url =>
+    cache.add(url).catch(() => console.warn('Service worker could not precache', url))
+  ));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    Promise.all([
+      precache(APP_CACHE, PRECACHE_URLS),
+      precache(MODEL_CACHE, MODEL_PRECACHE_URLS)
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys
+        .filter(key => key !== APP_CACHE && key !== MODEL_CACHE)
+        .map(key => caches.delete(key))
+    )).then(() => self.clients.claim())
+  );
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(MODEL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) {
+      return cached;
+    }
+    // Offline navigation to a route we haven't seen: serve the app shell
+    if (request.mode === 'navigate') {
+      return cache.match('./index.html');
+    }
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  if (MODEL_URL_PATTERNS.some(pattern => pattern.test(request.url))) {
+    event.respondWith(cacheFirst(request));
+  } else if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,216 @@
+/* global sampleRate, currentFrame */
+// Captures the microphone on the audio thread. Every input sample is
+// forwarded to the main thread, and every hop the latest analysis window is
+// run through the McLeod pitch method (the algorithm pitchy uses), so the
+// detection rate doesn't depend on the display refresh or on the tab being
+// visible.
+//
+// Options in (processorOptions): { windowSize, hopSize, minFrequency, maxFrequency }
+// Messages out, one per hop:
+//   { type: 'frame', time, energy, pitch, clarity, samples }
+//   time is the audio clock time (context.currentTime) of the last sample
+//   of the window; samples are the hopSize samples received since the last
+//   frame.
+// This file is loaded with audioWorklet.addModule and is not bundled, so it
+// can't import anything.
+
+const DEFAULT_WINDOW_SIZE = 2048;
+const DEFAULT_HOP_SIZE = 512;
+const DEFAULT_MIN_FREQUENCY = 40;
+const DEFAULT_MAX_FREQUENCY = 2000;
+const PEAK_THRESHOLD = 0.9; // First peak within 90% of the highest is the pitch
+
+// In-place iterative radix-2 FFT on separate real and imaginary arrays
+function fft(real, imag) {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const even = start + k;
+        const odd = even + size / 2;
+        const oddReal = real[odd] * wReal - imag[odd] * wImag;
+        const oddImag = real[odd] * wImag + imag[odd] * wReal;
+        real[odd] = real[even] - oddReal;
+        imag[odd] = imag[even] - oddImag;
+        real[even] += oddReal;
+        imag[even] += oddImag;
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
+
+class PitchAnalyzer {
+  constructor(windowSize, minFrequency, maxFrequency) {
+    this.windowSize = windowSize;
+    this.minFrequency = minFrequency;
+    this.maxFrequency = maxFrequency;
+    let fftSize = 1;
+    while (fftSize < windowSize * 2) {
+      fftSize <<= 1;
+    }
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+    this.nsdf = new Float32Array(windowSize);
+  }
+
+  // Normalized square difference function, with the autocorrelation taken
+  // through the FFT
+  computeNsdf(window) {
+    const { real, imag, nsdf, windowSize } = this;
+    real.fill(0);
+    imag.fill(0);
+    real.set(window);
+    fft(real, imag);
+    for (let i = 0; i < real.length; i++) {
+      real[i] = real[i] * real[i] + imag[i] * imag[i];
+      imag[i] = 0;
+    }
+    // Inverse transform of a real, even spectrum: a forward FFT does it
+    fft(real, imag);
+
+    // The transforms are unnormalized, scale by 1 / fftSize
+    const scale = 1 / real.length;
+    let m = 2 * real[0] * scale;
+    for (let lag = 0; lag < windowSize; lag++) {
+      if (lag > 0) {
+        m -= window[lag - 1] * window[lag - 1] + window[windowSize - lag] * window[windowSize - lag];
+      }
+      nsdf[lag] = m > 0 ? 2 * real[lag] * scale / m : 0;
+    }
+    return nsdf;
+  }
+
+  // Returns [frequency, clarity]; frequency is 0 when there is no pitch
+  findPitch(window) {
+    const nsdf = this.computeNsdf(window);
+    const minLag = Math.floor(sampleRate / this.maxFrequency);
+    const maxLag = Math.min(this.windowSize - 1, Math.ceil(sampleRate / this.minFrequency));
+
+    // The highest point of every positive lobe after the first zero crossing
+    const peaks = [];
+    let lag = 1;
+    while (lag < maxLag && nsdf[lag] > 0) lag++;
+    while (lag < maxLag) {
+      while (lag < maxLag && nsdf[lag] <= 0) lag++;
+      let peak = lag;
+      while (lag < maxLag && nsdf[lag] > 0) {
+        if (nsdf[lag] > nsdf[peak]) peak = lag;
+        lag++;
+      }
+      if (peak < maxLag && peak >= minLag && nsdf[peak] > 0) {
+        peaks.push(peak);
+      }
+    }
+    if (peaks.length === 0) {
+      return [0, 0];
+    }
+
+    const highest = Math.max(...peaks.map(peak => nsdf[peak]));
+    const chosen = peaks.find(peak => nsdf[peak] >= PEAK_THRESHOLD * highest);
+
+    // Parabolic interpolation around the chosen peak
+    const before = nsdf[chosen - 1];
+    const at = nsdf[chosen];
+    const after = nsdf[chosen + 1];
+    const curvature = before - 2 * at + after;
+    const shift = curvature === 0 ? 0 : (before - after) / (2 * curvature);
+    const clarity = at - (before - after) * shift / 4;
+    return [sampleRate / (chosen + shift), Math.min(1, clarity)];
+  }
+}
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const {
+      windowSize = DEFAULT_WINDOW_SIZE,
+      hopSize = DEFAULT_HOP_SIZE,
+      minFrequency = DEFAULT_MIN_FREQUENCY,
+      maxFrequency = DEFAULT_MAX_FREQUENCY
+    } = options.processorOptions || {};
+    this.windowSize = windowSize;
+    this.hopSize = hopSize;
+    this.history = new Float32Array(windowSize); // Ring of the latest samples
+    this.historyIndex = 0;
+    this.window = new Float32Array(windowSize);
+    this.hop = new Float32Array(hopSize);
+    this.hopIndex = 0;
+    this.analyzer = new PitchAnalyzer(windowSize, minFrequency, maxFrequency);
+    this.isStopped = false;
+    this.port.onmessage = event => {
+      if (event.data.type === 'stop') {
+        this.isStopped = true;
+      }
+    };
+  }
+
+  analyze(endFrame) {
+    const { history, historyIndex, window, windowSize } = this;
+    // Unroll the ring, oldest sample first
+    window.set(history.subarray(historyIndex), 0);
+    window.set(history.subarray(0, historyIndex), windowSize - historyIndex);
+
+    let sum = 0;
+    for (let i = 0; i < windowSize; i++) {
+      sum += window[i] * window[i];
+    }
+    const energy = Math.sqrt(sum / windowSize);
+    const [pitch, clarity] = energy > 0 ? this.analyzer.findPitch(window) : [0, 0];
+
+    const samples = this.hop;
+    this.hop = new Float32Array(this.hopSize);
+    this.port.postMessage(
+      { type: 'frame', time: endFrame / sampleRate, energy, pitch, clarity, samples },
+      [samples.buffer]
+    );
+  }
+
+  process(inputs) {
+    if (this.isStopped) {
+      return false;
+    }
+    // Mix all channels of the first input down to mono
+    const channels = inputs[0] || [];
+    if (channels.length === 0) {
+      return true;
+    }
+    const length = channels[0].length;
+    for (let i = 0; i < length; i++) {
+      let sample = 0;
+      for (let c = 0; c < channels.length; c++) {
+        sample += channels[c][i];
+      }
+      sample /= channels.length;
+
+      this.history[this.historyIndex] = sample;
+      this.historyIndex = (this.historyIndex + 1) % this.windowSize;
+      this.hop[this.hopIndex++] = sample;
+      if (this.hopIndex === this.hopSize) {
+        this.hopIndex = 0;
+        this.analyze(currentFrame + i + 1);
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
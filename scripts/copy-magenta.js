@@ -0,0 +1,28 @@
+// Copies the TensorFlow.js and Magenta.js browser bundles into public/vendor so
+// the inference worker can load them from the app's own origin (and the service
+// worker can cache them for offline use).
+// Runs automatically before `npm start` and `npm run build`.
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT, 'public', 'vendor');
+
+// Keep in sync with MAGENTA_LIBRARY_URLS in src/MagentaManager.js
+const FILES = [
+  ['node_modules/@tensorflow/tfjs/dist/tf.min.js', 'tfjs/tf.min.js'],
+  ['node_modules/@magenta/music/es6/music_rnn.js', 'magenta/music_rnn.js'],
+  ['node_modules/@magenta/music/es6/music_vae.js', 'magenta/music_vae.js']
+];
+
+FILES.forEach(([source, target]) => {
+  const sourcePath = path.join(ROOT, source);
+  const targetPath = path.join(VENDOR_DIR, target);
+  if (!fs.existsSync(sourcePath)) {
+    console.error(`Missing ${source}. Did you run npm install?`);
+    process.exit(1);
+  }
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  fs.copyFileSync(sourcePath, targetPath);
+  console.log(`Copied ${source} -> public/vendor/${target}`);
+});
@@ -0,0 +1,68 @@
+// Downloads the Magenta checkpoints into public/checkpoints so the models can
+// be served by the app itself. Run this once on a machine with internet access:
+//
+//   node scripts/fetch-checkpoints.js [checkpoint ...]
+//
+// Without arguments every checkpoint used by src/ModelRegistry.js is fetched.
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+const REMOTE_BASE_URL =
+  'https://storage.googleapis.com/download.magenta.tensorflow.org/tfjs_checkpoints/';
+const CHECKPOINTS_DIR = path.resolve(__dirname, '..', 'public', 'checkpoints');
+
+// Keep in sync with the checkpoint paths in src/ModelRegistry.js
+const DEFAULT_CHECKPOINTS = [
+  'music_rnn/basic_rnn',
+  'music_rnn/lookback_rnn',
+  'music_rnn/attention_rnn',
+  'music_rnn/chord_pitches_improv',
+  'music_rnn/drum_kit_rnn',
+  'music_vae/mel_2bar_small'
+];
+
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`GET ${url} failed with status ${response.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+    }).on('error', reject);
+  });
+}
+
+async function fetchCheckpoint(checkpoint) {
+  const remoteDir = `${REMOTE_BASE_URL}${checkpoint}/`;
+  const localDir = path.join(CHECKPOINTS_DIR, checkpoint);
+  fs.mkdirSync(localDir, { recursive: true });
+
+  const files = ['config.json', 'weights_manifest.json'];
+  const manifestData = await download(`${remoteDir}weights_manifest.json`);
+  JSON.parse(manifestData.toString()).forEach(group => files.push(...group.paths));
+
+  for (const file of files) {
+    const data = await download(`${remoteDir}${file}`);
+    fs.writeFileSync(path.join(localDir, file), data);
+  }
+  console.log(`Fetched ${checkpoint} (${files.length} files)`);
+}
+
+async function main() {
+  const checkpoints = process.argv.length > 2 ? process.argv.slice(2) : DEFAULT_CHECKPOINTS;
+  for (const checkpoint of checkpoints) {
+    try {
+      await fetchCheckpoint(checkpoint);
+    } catch (error) {
+      console.error(`Failed to fetch ${checkpoint}:`, error.message);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
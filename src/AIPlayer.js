@@ -0,0 +1,149 @@
+import * as Tone from 'tone';
+
+// Plays the AI response through Tone.js, scheduled as a looping Part on the
+// Transport like the drums. A new response starts on the next loop pass
+// (the one after the user's call) instead of cutting in mid-loop.
+
+export const AI_INSTRUMENTS = {
+  synth: {
+    name: 'Synth',
+    range: { min: 36, max: 96 }, // C2 - C7
+    create: () => new Tone.PolySynth(Tone.Synth, { oscillator: { type: 'triangle' } })
+  },
+  electricPiano: {
+    name: 'Electric piano',
+    range: { min: 28, max: 100 }, // E1 - E7, a 73-key electric piano
+    create: () => new Tone.PolySynth(Tone.FMSynth, {
+      harmonicity: 3,
+      modulationIndex: 10,
+      envelope: { attack: 0.005, decay: 0.8, sustain: 0.2, release: 1 }
+    })
+  },
+  pad: {
+    name: 'Pad',
+    range: { min: 36, max: 84 }, // C2 - C6
+    create: () => new Tone.PolySynth(Tone.AMSynth, {
+      envelope: { attack: 0.2, decay: 0.3, sustain: 0.8, release: 1.5 }
+    })
+  },
+  lead: {
+    name: 'Square lead',
+    range: { min: 48, max: 96 }, // C3 - C7
+    create: () => new Tone.PolySynth(Tone.Synth, {
+      oscillator: { type: 'square' },
+      envelope: { attack: 0.01, decay: 0.1, sustain: 0.6, release: 0.2 }
+    })
+  }
+};
+
+// OVERLAP: the response plays on every pass, also while the user plays.
+// ALTERNATE: the AI takes every other pass, so user and AI trade loops.
+export const PLAYBACK_MODES = {
+  OVERLAP: 'overlap',
+  ALTERNATE: 'alternate'
+};
+
+class AIPlayer {
+  // onNote({ time, endTime, pitch, isPercussive }) is called for every note
+  // as it is scheduled
+  constructor({ instrument = 'synth', volume = -8, mode = PLAYBACK_MODES.OVERLAP, onNote = () => {} } = {}) {
+    this.onNote = onNote;
+    this.part = null;
+    this.retiringParts = [];
+    this.mode = mode;
+    this.output = new Tone.Volume(volume).toDestination();
+    this.instrumentId = null;
+    this.synth = null;
+    this.setInstrument(instrument);
+  }
+
+  setInstrument(instrumentId) {
+    if (instrumentId === this.instrumentId) {
+      return;
+    }
+    const instrument = AI_INSTRUMENTS[instrumentId];
+    if (!instrument) {
+      throw new Error(`Unknown AI instrument: ${instrumentId}`);
+    }
+    if (this.synth) {
+      this.synth.releaseAll();
+      this.synth.dispose();
+    }
+    this.synth = instrument.create().connect(this.output);
+    this.instrumentId = instrumentId;
+  }
+
+  // Volume in dB
+  setVolume(volume) {
+    this.output.volume.value = volume;
+  }
+
+  // Replace the scheduled response. notes are in grid positions for the
+  // session described by context (see SessionContext.js). The mode only
+  // takes effect with the next setNotes call.
+  setNotes(notes, context, mode = this.mode) {
+    this.mode = mode;
+    if (notes.length === 0) {
+      this.clear();
+      return;
+    }
+
+    const ticksPerPosition =
+      (Tone.Transport.PPQ * (4 / context.timeSignature.denominator)) / context.gridDivision;
+    const loopTicks = Math.round(context.numberOfBars * context.timeSignature.numerator * context.gridDivision * ticksPerPosition);
+    const events = notes.map(note => ({
+      time: `${Math.round(note.startPosition * ticksPerPosition)}i`,
+      pitch: note.pitch,
+      duration: Tone.Ticks(Math.max(1, Math.round((note.endPosition - note.startPosition) * ticksPerPosition))).toSeconds(),
+      velocity: (note.velocity || 100) / 127
+    }));
+
+    // Start on the next pass boundary. In alternate mode the part then
+    // rests for a pass, leaving it to the user, before answering again.
+    const passesPerCycle = this.mode === PLAYBACK_MODES.ALTERNATE ? 2 : 1;
+    const startTicks = Math.ceil(Tone.Transport.ticks / loopTicks) * loopTicks;
+
+    // The current response keeps playing until the new one takes over
+    this.retiringParts = this.retiringParts.filter(retiring => {
+      if (retiring.stopTicks <= Tone.Transport.ticks) {
+        retiring.part.dispose();
+        return false;
+      }
+      return true;
+    });
+    if (this.part) {
+      this.part.stop(`${startTicks}i`);
+      this.retiringParts.push({ part: this.part, stopTicks: startTicks });
+    }
+
+    this.part = new Tone.Part((time, event) => {
+      this.synth.triggerAttackRelease(
+        Tone.Frequency(event.pitch, 'midi').toNote(),
+        event.duration,
+        time,
+        event.velocity
+      );
+      this.onNote({ time, endTime: time + event.duration, pitch: event.pitch, isPercussive: false });
+    }, events);
+    this.part.loop = true;
+    this.part.loopEnd = `${loopTicks * passesPerCycle}i`;
+    this.part.start(`${startTicks}i`);
+  }
+
+  clear() {
+    [this.part, ...this.retiringParts.map(retiring => retiring.part)].forEach(part => part && part.dispose());
+    this.part = null;
+    this.retiringParts = [];
+    if (this.synth) {
+      this.synth.releaseAll();
+    }
+  }
+
+  dispose() {
+    this.clear();
+    this.synth.dispose();
+    this.output.dispose();
+  }
+}
+
+export default AIPlayer;
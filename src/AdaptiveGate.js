@@ -0,0 +1,40 @@
+import { GATE_RATIO, clampGate } from './RoomCalibrator';
+
+// Keeps the detection gate above the room noise while playing. The noise
+// floor follows the frames that aren't notes: those under the gate, and
+// those without a clear pitch (a fan starting up is loud but unpitched).
+// It rises slowly, so a long held note doesn't lift it, and falls faster.
+
+export const DEFAULT_GATE_OPTIONS = {
+  ratio: GATE_RATIO,
+  minClarity: 0.7,
+  riseTime: 5, // Seconds for the floor to follow rising noise
+  fallTime: 1
+};
+
+class AdaptiveGate {
+  // threshold is the gate to start from
+  constructor(threshold, options = {}) {
+    this.options = { ...DEFAULT_GATE_OPTIONS, ...options };
+    this.noiseFloor = threshold / this.options.ratio;
+    this.lastTime = null;
+  }
+
+  getThreshold() {
+    return clampGate(this.noiseFloor * this.options.ratio);
+  }
+
+  // Feed one capture frame; returns the gate
+  update({ time, energy, pitch, clarity }) {
+    const elapsed = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+    this.lastTime = time;
+    const isPitched = pitch > 0 && clarity >= this.options.minClarity;
+    if (energy < this.getThreshold() || !isPitched) {
+      const timeConstant = energy > this.noiseFloor ? this.options.riseTime : this.options.fallTime;
+      this.noiseFloor += (energy - this.noiseFloor) * (1 - Math.exp(-elapsed / timeConstant));
+    }
+    return this.getThreshold();
+  }
+}
+
+export default AdaptiveGate;
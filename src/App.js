@@ -1,29 +1,124 @@
 // MVP: Real-Time Smart Jam (React + Tone.js + Pitchy)
 // This version includes MIDI export functionality
 
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import * as Tone from "tone";
-import { PitchDetector } from "pitchy";
 import MusicGrid from './components/MusicGrid';
 import AIMusicGrid from './components/AIMusicGrid';
-import AudioBuffer from './AudioBuffer';
+import DrumGrid from './components/DrumGrid';
+import PhraseTools from './components/PhraseTools';
+import DrumPlayer from './DrumPlayer';
+import AIPlayer, { AI_INSTRUMENTS, PLAYBACK_MODES } from './AIPlayer';
+import CapturePipeline from './CapturePipeline';
+import NoteTracker from './NoteTracker';
+import PolyphonicTracker, { analyzeSpectrum } from './PolyphonicAnalyzer';
+import LatencyCalibrator, { loadLatencyOffset, saveLatencyOffset } from './LatencyCalibrator';
+import LatencyCalibration from './components/LatencyCalibration';
+import Takes from './components/Takes';
+import Tuner from './components/Tuner';
+import DetectionSettingsEditor from './components/DetectionSettingsEditor';
+import RoomCalibration from './components/RoomCalibration';
+import RoomCalibrator, { applyRoomSettings } from './RoomCalibrator';
+import AdaptiveGate from './AdaptiveGate';
+import BleedFilter from './BleedFilter';
+import TakePlayer from './TakePlayer';
+import { encodeWav } from './WavEncoder';
+import { transcribeAudioFile } from './AudioFileTranscriber';
+import {
+  CUSTOM_PROFILE_ID,
+  DEFAULT_PROFILE_ID,
+  INSTRUMENT_PROFILES,
+  getDetectionSettings
+} from './InstrumentProfiles';
+import { describePitch, frequencyToMidi, loadReferencePitch, saveReferencePitch, summarizeCents } from './Tuning';
 import { Midi } from '@tonejs/midi';
-import MagentaManager from './MagentaManager';
-
-// Add note conversion utilities
-const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-
-function frequencyToNote(frequency) {
-  if (!frequency) return { note: '-', octave: '-' };
-  const a4 = 440;
-  const c0 = a4 * Math.pow(2, -4.75);
-  const h = Math.round(12 * Math.log2(frequency / c0));
-  const octave = Math.floor(h / 12);
-  const noteIndex = h % 12;
-  return {
-    note: NOTE_NAMES[noteIndex],
-    octave: octave
-  };
+import MagentaManager, { MODEL_STATUS } from './MagentaManager';
+import { GenerationCancelledError } from './MagentaWorkerClient';
+import { createSessionContext } from './SessionContext';
+import { CAPABILITIES, DEFAULT_MODEL_ID, getRegisteredModels, hasCapability } from './ModelRegistry';
+import { NOTE_NAMES, SCALES, midiToNoteName } from './MusicTheory';
+import { KEY_LOCK } from './ResponseConstraints';
+import { rankCandidates } from './CandidateRanker';
+import { HARMONY_VOICES, generateHarmony } from './HarmonyGenerator';
+import { MAPPING_POLICIES } from './PitchMapping';
+import PreferenceStore, { FEEDBACK, MIN_FEEDBACK_FOR_ADAPTATION, extractFeatures } from './PreferenceStore';
+
+const GENERATION_MODES = {
+  CONTINUATION: 'continuation',
+  ACCOMPANIMENT: 'accompaniment'
+};
+
+const DRUM_MODES = {
+  OFF: 'off',
+  PATTERN: 'pattern',
+  MODEL: 'model'
+};
+
+// When the AI answers the user's loop
+const TRIGGER_POLICIES = {
+  EVERY_LOOP: 'every-loop',
+  EVERY_N_LOOPS: 'every-n-loops',
+  PHRASE_END: 'phrase-end',
+  MANUAL: 'manual'
+};
+
+// Silence (in beats) that ends a phrase for TRIGGER_POLICIES.PHRASE_END
+const PHRASE_END_BEATS = 2;
+
+const NO_AI_NOTES = [];
+
+// Pitches offered as limits of the response range (C2 - C7)
+const RANGE_PITCHES = Array.from({ length: 61 }, (_, i) => 36 + i);
+
+// Minimum response note lengths, in beats
+const MIN_NOTE_LENGTHS = [
+  { value: 0, label: 'Any' },
+  { value: 0.25, label: '16th note' },
+  { value: 0.5, label: '8th note' },
+  { value: 1, label: 'Quarter note' }
+];
+
+const DEFAULT_RESPONSE_CONSTRAINTS = {
+  keyLock: KEY_LOCK.OFF,
+  scale: 'major',
+  rangeMin: '', // '' = no limit
+  rangeMax: '',
+  maxNotesPerBar: 0, // 0 = no limit
+  minNoteBeats: 0
+};
+
+// Single notes go through the pitch detector, chords through the spectrum
+const INPUT_MODES = {
+  MONOPHONIC: 'monophonic',
+  POLYPHONIC: 'polyphonic'
+};
+
+// Older takes are dropped beyond this
+const MAX_TAKES = 16;
+
+// Display frames the tuner needle is steadied over
+const TUNER_READINGS = 12;
+
+// Models that can answer the user's phrase with a melody
+const RESPONSE_MODELS = getRegisteredModels().filter(model =>
+  hasCapability(model, CAPABILITIES.MELODY_CONTINUATION) ||
+  hasCapability(model, CAPABILITIES.INTERPOLATION)
+);
+
+// Notes in playing order. Each note is a played note (see NoteTracker.js),
+// so repeated notes of the same pitch stay separate.
+function sortNotes(notes) {
+  return [...notes].sort((a, b) => a.startPosition - b.startPosition || a.pitch - b.pitch);
+}
+
+// Add a note to the loop. In add mode a note only joins the loop; otherwise
+// it replaces what was there, but keeps the other notes of its chord.
+function placeNote(notes, note, isAddMode) {
+  if (isAddMode) {
+    return notes.some(n => n.startPosition === note.startPosition && n.pitch === note.pitch) ? notes : [...notes, note];
+  }
+  return [...notes.filter(n => n.endPosition <= note.startPosition || n.startPosition >= note.endPosition ||
+    n.startTime === note.startTime), note];
 }
 
 export default function App() {
@@ -39,46 +134,111 @@ export default function App() {
   const [availableMics, setAvailableMics] = useState([]);
   const [selectedMic, setSelectedMic] = useState(null);
   const [currentNote, setCurrentNote] = useState({ note: '-', octave: '-' });
+  const [currentChord, setCurrentChord] = useState(null);
+  const [inputMode, setInputMode] = useState(INPUT_MODES.MONOPHONIC);
+  const [latencyOffset, setLatencyOffset] = useState(0); // Round trip in seconds, per input device
+  const [calibration, setCalibration] = useState({ state: 'idle', clicksPlayed: 0, clicks: 0, result: null });
+  const [takes, setTakes] = useState([]);
+  const [isRecordingArmed, setIsRecordingArmed] = useState(false);
+  const [isRetroactive, setIsRetroactive] = useState(true);
+  const [hasLastPass, setHasLastPass] = useState(false);
+  const [auditioningTakeId, setAuditioningTakeId] = useState(null);
+  const [referencePitch, setReferencePitch] = useState(() => loadReferencePitch());
+  const [tuning, setTuning] = useState(null);
+  const [isTunerOn, setIsTunerOn] = useState(false);
+  const referencePitchRef = useRef(referencePitch); // For the display loops
+  const tunerReadingsRef = useRef({ midi: null, cents: [] });
+  const [roomCalibration, setRoomCalibration] = useState({ state: 'idle', progress: 0, result: null });
+  const [calibrateRoomOnStart, setCalibrateRoomOnStart] = useState(false);
+  const [isGateAdaptive, setIsGateAdaptive] = useState(true);
+  const [gateLevel, setGateLevel] = useState(null); // The gate in use while jamming
+  // The app's own sound as scheduled, to tell it from the user's playing
+  const [bleedFilter] = useState(() => new BleedFilter());
+  const [isRejectingBleed, setIsRejectingBleed] = useState(true);
+  const [fileTranscription, setFileTranscription] = useState({ state: 'idle', name: null, progress: 0, notes: 0 });
+  const takePlayerRef = useRef(null);
+  const lastPassRef = useRef(null); // The last loop pass, for retroactive capture
+  const nextTakeIdRef = useRef(1);
+  const recordingSettingsRef = useRef({ isArmed: false, isRetroactive: true }); // For the analysis loop
   const [waveformData, setWaveformData] = useState(new Float32Array(1024));
   const canvasRef = useRef(null);
   const [isAudibleClick, setIsAudibleClick] = useState(false);
   const visualClickRef = useRef(null);
   const [playheadPosition, setPlayheadPosition] = useState(0);
   const [isAddMode, setIsAddMode] = useState(true);
-  const [aiNotes, setAiNotes] = useState([]);
   const [isWaitingForMagenta, setIsWaitingForMagenta] = useState(false);
+  const [aiCandidates, setAiCandidates] = useState([]); // Ranked responses, best first
+  const [candidateIndex, setCandidateIndex] = useState(0);
+  const [isCandidatePinned, setIsCandidatePinned] = useState(false);
+  const [isProgressing, setIsProgressing] = useState(false); // Candidates are interpolation steps, one per loop
+  const [savedPhrases, setSavedPhrases] = useState([]);
+  const [phraseToolState, setPhraseToolState] = useState({ isBusy: false, message: '' });
+  const nextPhraseIdRef = useRef(1);
+  const [preferenceStore] = useState(() => new PreferenceStore());
+  const [profiles, setProfiles] = useState(() => preferenceStore.getProfiles());
+  const [activeProfile, setActiveProfile] = useState(() => preferenceStore.getActiveProfile());
+  const [newProfileName, setNewProfileName] = useState('');
+  // The instrument detection profile, kept with the user's profile
+  const [inputSettings, setInputSettings] = useState(() =>
+    preferenceStore.getInputSettings() || { instrumentId: DEFAULT_PROFILE_ID, custom: null });
+  const [modelId, setModelId] = useState(DEFAULT_MODEL_ID);
+  const [generationMode, setGenerationMode] = useState(GENERATION_MODES.CONTINUATION);
+  const [responseConstraints, setResponseConstraints] = useState(DEFAULT_RESPONSE_CONSTRAINTS);
+  const [temperature, setTemperature] = useState(1.0);
+  const [responseBars, setResponseBars] = useState(0); // 0 = the whole loop
+  const [triggerPolicy, setTriggerPolicy] = useState(TRIGGER_POLICIES.EVERY_LOOP);
+  const [triggerEveryLoops, setTriggerEveryLoops] = useState(2);
+  const [inputMapping, setInputMapping] = useState(MAPPING_POLICIES.FOLD);
+  const [drumMode, setDrumMode] = useState(DRUM_MODES.OFF);
+  const [drumNotes, setDrumNotes] = useState([]);
+  const drumPlayerRef = useRef(null);
+  const aiPlayerRef = useRef(null);
+  const harmonyPlayerRef = useRef(null);
+  const [harmonyVoice, setHarmonyVoice] = useState(HARMONY_VOICES.OFF);
+  const [aiInstrument, setAiInstrument] = useState('synth');
+  const [aiVolume, setAiVolume] = useState(-8); // dB
+  const [aiPlaybackMode, setAiPlaybackMode] = useState(PLAYBACK_MODES.OVERLAP);
+  const generationAbortRef = useRef(null); // Cancels the in-flight generation
+  const aiSettingsRef = useRef({
+    generationMode: GENERATION_MODES.CONTINUATION,
+    drumMode: DRUM_MODES.OFF,
+    isCandidatePinned: false,
+    isProgressing: false,
+    responseConstraints: DEFAULT_RESPONSE_CONSTRAINTS,
+    temperature: 1.0,
+    responseBars: 0,
+    triggerPolicy: TRIGGER_POLICIES.EVERY_LOOP,
+    triggerEveryLoops: 2,
+    inputMapping: MAPPING_POLICIES.FOLD
+  }); // Latest AI settings for the analysis loop
+  const [modelStatus, setModelStatus] = useState({ state: MODEL_STATUS.IDLE, message: '' });
+
+  // The candidate shown in the AI grid, played and exported
+  const currentCandidate = aiCandidates[candidateIndex];
+  const aiNotes = currentCandidate ? currentCandidate.notes : NO_AI_NOTES;
+  const aiChords = currentCandidate ? currentCandidate.chords : NO_AI_NOTES;
   const previousNotesRef = useRef([]); // Add ref to track latest previous notes
   const modeRef = useRef({ isAddMode: true }); // Add ref to track mode state
 
   const audioCtxRef = useRef(null);
-  const analyserRef = useRef(null);
-  const sourceRef = useRef(null);
-  const bufferRef = useRef(new Float32Array(2048));
-  const detectorRef = useRef(null);
+  const capturePipelineRef = useRef(null); // Microphone capture and pitch detection
   const metronomeRef = useRef(null);
   const animationFrameRef = useRef(null);
   const isRunningRef = useRef(false);
 
   const [numberOfBars, setNumberOfBars] = useState(4);
   const [gridDivision, setGridDivision] = useState(8); // 8 = 32nd notes
-  const [maxNoteDuration, setMaxNoteDuration] = useState(32); // 32 = whole note (in 32nd notes)
+  const [maxNoteDuration, setMaxNoteDuration] = useState(32); // 32 = half note (in 64th notes)
   const [hasMidiSupport, setHasMidiSupport] = useState(false);
 
   // Add new state for quantized notes
   const [userNotes, setUserNotes] = useState([]);
   const userNotesRef = useRef([]); // Add ref to track latest notes
 
-  // Add new state for continuous note tracking
-  const [currentNoteState, setCurrentNoteState] = useState({
-    isActive: false,
-    pitch: null,
-    startTime: null,
-    startPosition: null,
-    lastUpdateTime: null
-  });
-
   // Add constants for thresholds
-  const VOLUME_THRESHOLD = 0.1; // Minimum volume for note detection
+  const detection = getDetectionSettings(inputSettings.instrumentId, inputSettings.custom);
+  // The microphone's settings: the profile's, with the room's gain and gate
+  const liveDetection = applyRoomSettings(detection, roomCalibration.result);
   const BEATS_PER_BAR = 4;
   const SUBDIVISIONS = 8; // 32nd notes
 
@@ -105,9 +265,12 @@ export default function App() {
   useEffect(() => {
     const initMagenta = async () => {
       try {
-        const manager = new MagentaManager();
-        await manager.initialize();
+        const manager = new MagentaManager(DEFAULT_MODEL_ID, { onStatusChange: setModelStatus });
+        // Attach before loading so another model can be picked if this one is missing
         window.magentaManager = manager;
+        await manager.initialize();
+        // Magenta may have been replaced by the rule-based responder
+        setModelId(manager.modelId);
         console.log('MagentaManager initialized and attached to window');
       } catch (error) {
         console.error('Failed to initialize MagentaManager:', error);
@@ -117,6 +280,44 @@ export default function App() {
     initMagenta();
   }, []);
 
+  // The AI's instruments play at the same concert pitch
+  useEffect(() => {
+    referencePitchRef.current = referencePitch;
+    Tone.FrequencyClass.A4 = referencePitch;
+  }, [referencePitch]);
+
+  // The room was measured with the gain of the previous profile
+  useEffect(() => {
+    setRoomCalibration({ state: 'idle', progress: 0, result: null });
+  }, [inputSettings.instrumentId, inputSettings.custom]);
+
+  useEffect(() => {
+    recordingSettingsRef.current = { isArmed: isRecordingArmed, isRetroactive };
+  }, [isRecordingArmed, isRetroactive]);
+
+  // Each input device has its own latency
+  useEffect(() => {
+    setLatencyOffset(loadLatencyOffset(selectedMic));
+    setCalibration({ state: 'idle', clicksPlayed: 0, clicks: 0, result: null });
+  }, [selectedMic]);
+
+  // Keep the analysis loop in sync with the AI settings
+  useEffect(() => {
+    aiSettingsRef.current = {
+      ...aiSettingsRef.current,
+      generationMode,
+      drumMode,
+      isCandidatePinned,
+      isProgressing,
+      responseConstraints,
+      temperature,
+      responseBars,
+      triggerPolicy,
+      triggerEveryLoops,
+      inputMapping
+    };
+  }, [generationMode, drumMode, isCandidatePinned, isProgressing, responseConstraints, temperature, responseBars, triggerPolicy, triggerEveryLoops, inputMapping]);
+
   // Get available microphones
   const getMicrophones = async () => {
     try {
@@ -204,114 +405,445 @@ export default function App() {
     checkBrowserSupport();
   }, []);
 
-  // Add function to calculate position in subdivisions
-  const calculatePosition = (time) => {
-    const secondsPerBeat = 60 / bpm;
-    const secondsPerSubdivision = secondsPerBeat / gridDivision;
-    const position = Math.round(time / secondsPerSubdivision);
-    return position % (numberOfBars * BEATS_PER_BAR * gridDivision);
+  // Describe the current loop for the generators and players (see SessionContext.js)
+  const sessionContext = useMemo(() => createSessionContext({
+    bpm,
+    timeSignature: { numerator: BEATS_PER_BAR, denominator: 4 },
+    numberOfBars,
+    gridDivision,
+    loopStartOffset: 0
+  }), [bpm, numberOfBars, gridDivision]);
+  const getSessionContext = () => sessionContext;
+
+  const refreshProfiles = () => {
+    setProfiles(preferenceStore.getProfiles());
+    setActiveProfile({ ...preferenceStore.getActiveProfile() });
+    setInputSettings(preferenceStore.getInputSettings() || { instrumentId: DEFAULT_PROFILE_ID, custom: null });
   };
 
-  // Add function to handle note start
-  const handleNoteStart = (pitch, time) => {
-    console.log('Starting new note:', { pitch, time });
-    const position = calculatePosition(time);
-    console.log('Calculated position:', position);
-    
-    // Only start a new note if we don't have an active note
-    if (!currentNoteState.isActive) {
-      console.log('No active note, starting new one');
-      setCurrentNoteState({
-        isActive: true,
-        pitch,
-        startTime: time,
-        startPosition: position,
-        lastUpdateTime: time
-      });
-    } else {
-      // If we have an active note, check if pitch change is significant
-      const currentMidiNote = Math.round(69 + 12 * Math.log2(currentNoteState.pitch / 440));
-      const newMidiNote = Math.round(69 + 12 * Math.log2(pitch / 440));
-      const pitchDifference = Math.abs(newMidiNote - currentMidiNote);
-      
-      console.log('Active note exists, checking pitch difference:', {
-        currentMidiNote,
-        newMidiNote,
-        pitchDifference
-      });
-      
-      if (pitchDifference >= 1) {
-        // End current note and start new one
-        console.log('Pitch change significant, ending current note');
-        handleNoteEnd(time);
-        setCurrentNoteState({
-          isActive: true,
-          pitch,
-          startTime: time,
-          startPosition: position,
-          lastUpdateTime: time
-        });
-      } else {
-        // Check if we need to split the note due to maximum duration
-        const currentDuration = time - currentNoteState.startTime;
-        const secondsPerBeat = 60 / bpm;
-        const maxDurationInSeconds = (maxNoteDuration / gridDivision) * secondsPerBeat;
-        
-        if (currentDuration >= maxDurationInSeconds) {
-          // End current note and start new one with same pitch
-          console.log('Maximum duration reached, splitting note');
-          handleNoteEnd(time);
-          setCurrentNoteState({
-            isActive: true,
-            pitch,
-            startTime: time,
-            startPosition: position,
-            lastUpdateTime: time
-          });
-        }
-      }
+  const updateInputSettings = (changes) => {
+    const settings = { ...inputSettings, ...changes };
+    preferenceStore.setInputSettings(settings);
+    setInputSettings(settings);
+  };
+
+  // The custom profile starts from the settings in use
+  const handleInstrumentChange = (instrumentId) => {
+    updateInputSettings(instrumentId === CUSTOM_PROFILE_ID && !inputSettings.custom
+      ? { instrumentId, custom: { ...detection } }
+      : { instrumentId });
+  };
+
+  const updateCustomDetection = (key, value) => {
+    updateInputSettings({ custom: { ...inputSettings.custom, [key]: value } });
+  };
+
+  // Move the AI settings towards what the active profile liked
+  const applyAdaptation = () => {
+    const adaptation = preferenceStore.getAdaptation();
+    console.log('Adapting to feedback:', adaptation);
+    if (adaptation.temperature !== null) {
+      setTemperature(adaptation.temperature);
+    }
+    if (adaptation.maxNotesPerBar !== null || adaptation.range !== null) {
+      setResponseConstraints(previous => ({
+        ...previous,
+        maxNotesPerBar: adaptation.maxNotesPerBar !== null ? adaptation.maxNotesPerBar : previous.maxNotesPerBar,
+        rangeMin: adaptation.range ? String(adaptation.range.min) : previous.rangeMin,
+        rangeMax: adaptation.range ? String(adaptation.range.max) : previous.rangeMax
+      }));
+    }
+    if (adaptation.modelId && adaptation.modelId !== modelId &&
+        RESPONSE_MODELS.some(model => model.id === adaptation.modelId)) {
+      switchModel(adaptation.modelId);
     }
   };
 
-  // Add function to handle note end
-  const handleNoteEnd = (time) => {
-    if (currentNoteState.isActive) {
-      const endPosition = calculatePosition(time);
-      console.log('Current note state:', currentNoteState);
-      console.log('End position:', endPosition);
-      
-      const note = {
-        pitch: Math.round(69 + 12 * Math.log2(currentNoteState.pitch / 440)),
-        startPosition: currentNoteState.startPosition,
-        endPosition: endPosition,
-        startTime: currentNoteState.startTime,
-        endTime: time
-      };
-      
-      console.log('Created note:', note);
-      // Add the completed note to userNotes
-      setUserNotes(prev => {
-        const newNotes = modeRef.current.isAddMode ? 
-          (prev.some(n => n.startPosition === note.startPosition && n.pitch === note.pitch) ? prev : [...prev, note]) :
-          [...prev.filter(n => n.startPosition !== note.startPosition), note];
-        console.log('Previous notes:', prev);
-        console.log('New notes array:', newNotes);
-        return newNotes;
-      });
-      
-      // Reset the current note state
-      setCurrentNoteState({
-        isActive: false,
-        pitch: null,
-        startTime: null,
-        startPosition: null,
-        lastUpdateTime: null
-      });
-    } else {
-      console.log('No active note to end');
+  // Rate the shown response. Keeping it also pins it.
+  const handleFeedback = (rating) => {
+    if (!currentCandidate) {
+      return;
+    }
+    const params = currentCandidate.params || {
+      modelId,
+      temperature,
+      generationMode,
+      constraints: getConstraints(responseConstraints)
+    };
+    const profile = preferenceStore.recordFeedback(rating, params, extractFeatures(currentCandidate.notes, getSessionContext()));
+    setAiCandidates(previous => previous.map((candidate, index) =>
+      index === candidateIndex ? { ...candidate, feedback: rating } : candidate
+    ));
+    if (rating === FEEDBACK.KEEP) {
+      setIsCandidatePinned(true);
+    }
+    refreshProfiles();
+    if (profile.adapt) {
+      applyAdaptation();
+    }
+  };
+
+  const handleProfileChange = (event) => {
+    preferenceStore.setActiveProfile(event.target.value);
+    refreshProfiles();
+    if (preferenceStore.getActiveProfile().adapt) {
+      applyAdaptation();
+    }
+  };
+
+  const handleCreateProfile = () => {
+    const name = newProfileName.trim();
+    if (!name) {
+      return;
+    }
+    preferenceStore.createProfile(name);
+    setNewProfileName('');
+    refreshProfiles();
+  };
+
+  const handleAdaptChange = (event) => {
+    preferenceStore.setAdaptEnabled(event.target.checked);
+    refreshProfiles();
+    if (event.target.checked) {
+      applyAdaptation();
+    }
+  };
+
+  const exportProfile = () => {
+    const blob = new Blob([preferenceStore.exportProfile()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `smart-jam-profile-${activeProfile.name.replace(/\W+/g, '-').toLowerCase()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // An interpolation has played its last step
+  useEffect(() => {
+    if (isProgressing && candidateIndex >= aiCandidates.length - 1) {
+      setIsProgressing(false);
+    }
+  }, [isProgressing, candidateIndex, aiCandidates]);
+
+  // Run a phrase tool against the manager, reporting progress and errors
+  const runPhraseTool = async (operation) => {
+    if (!window.magentaManager) {
+      return;
+    }
+    setPhraseToolState({ isBusy: true, message: '' });
+    try {
+      await operation(window.magentaManager, getSessionContext());
+      setPhraseToolState({ isBusy: false, message: '' });
+    } catch (error) {
+      console.error('Phrase tool failed:', error);
+      setPhraseToolState({ isBusy: false, message: error.message });
+    }
+  };
+
+  const handleGenerateVariations = (count) => runPhraseTool(async (manager, context) => {
+    const phrase = getUserPhrase();
+    const variations = await manager.generateVariations(phrase, context, { count });
+    const candidates = rankCandidates(variations.map(notes => ({ notes, chords: [] })), phrase, context);
+    if (candidates.length > 0) {
+      setIsProgressing(false);
+      setAiCandidates(candidates);
+      setCandidateIndex(0);
+    }
+  });
+
+  // Play interpolation steps in the AI grid, one per loop
+  const startProgression = (frames) => {
+    const candidates = frames.map(notes => ({ notes, chords: [], score: null }));
+    if (candidates.length === 0) {
+      return;
+    }
+    setAiCandidates(candidates);
+    setCandidateIndex(0);
+    setIsProgressing(candidates.length > 1);
+  };
+
+  const handleInterpolate = (fromId, toId, loops) => {
+    const from = savedPhrases.find(phrase => String(phrase.id) === String(fromId));
+    const to = savedPhrases.find(phrase => String(phrase.id) === String(toId));
+    if (!from || !to) {
+      setPhraseToolState({ isBusy: false, message: 'Choose two saved phrases to interpolate between' });
+      return;
+    }
+    runPhraseTool(async (manager, context) => {
+      startProgression(await manager.interpolatePhrases(from.notes, to.notes, context, { steps: loops }));
+    });
+  };
+
+  const handleMorph = (loops) => runPhraseTool(async (manager, context) => {
+    startProgression(await manager.interpolatePhrases(aiNotes, getUserPhrase(), context, { steps: loops }));
+  });
+
+  const handleSavePhrase = (source) => {
+    const id = nextPhraseIdRef.current++;
+    const notes = source === 'ai' ? aiNotes : getUserPhrase();
+    const name = `${source === 'ai' ? 'AI phrase' : 'My phrase'} ${id}`;
+    setSavedPhrases(previous => [...previous, { id, name, notes }]);
+  };
+
+  const handleDeletePhrase = (id) => {
+    setSavedPhrases(previous => previous.filter(phrase => phrase.id !== id));
+  };
+
+  const addTake = (pass) => {
+    const id = nextTakeIdRef.current++;
+    setTakes(previous => [...previous, { name: `Take ${id}`, ...pass, id }].slice(-MAX_TAKES));
+  };
+
+  // Retroactive capture: keep the pass that was just played
+  const handleKeepLastLoop = () => {
+    if (lastPassRef.current) {
+      addTake(lastPassRef.current);
+      lastPassRef.current = null;
+      setHasLastPass(false);
+    }
+  };
+
+  const handleStopAudition = () => {
+    if (takePlayerRef.current) {
+      takePlayerRef.current.stop();
+    }
+    setAuditioningTakeId(null);
+  };
+
+  // Play a take looped, with its notes shown in the grid
+  const handleAuditionTake = (id) => {
+    const take = takes.find(candidate => candidate.id === id);
+    if (!takePlayerRef.current) {
+      takePlayerRef.current = new TakePlayer();
+    }
+    takePlayerRef.current.play(take, createSessionContext({
+      bpm: take.bpm,
+      timeSignature: { numerator: BEATS_PER_BAR, denominator: 4 },
+      numberOfBars: take.numberOfBars,
+      gridDivision: take.gridDivision
+    }));
+    setAuditioningTakeId(id);
+  };
+
+  // The take's audio starts at bar 1, like the MIDI export
+  const handleExportTake = (id) => {
+    const take = takes.find(candidate => candidate.id === id);
+    const blob = new Blob([encodeWav(take.samples, take.sampleRate)], { type: 'audio/wav' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `smart-jam-${take.name.replace(/\W+/g, '-').toLowerCase()}.wav`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDeleteTake = (id) => {
+    if (auditioningTakeId === id) {
+      handleStopAudition();
+    }
+    setTakes(previous => previous.filter(take => take.id !== id));
+  };
+
+  const auditioningTake = takes.find(take => take.id === auditioningTakeId);
+
+  // Take the shown AI response over as the user's loop
+  const handleAcceptResponse = () => {
+    const accepted = aiNotes.map(note => ({
+      pitch: note.pitch,
+      startPosition: note.startPosition,
+      endPosition: note.endPosition,
+      startTime: note.startTime,
+      endTime: note.endTime,
+      velocity: note.velocity
+    }));
+    userNotesRef.current = accepted;
+    setUserNotes(accepted);
+  };
+
+  // Constraints for the generators (see ResponseConstraints.js) from the UI settings
+  const getConstraints = (settings) => {
+    const hasRange = settings.rangeMin !== '' || settings.rangeMax !== '';
+    return {
+      keyLock: settings.keyLock,
+      scale: settings.scale,
+      range: hasRange
+        ? { min: settings.rangeMin === '' ? 0 : Number(settings.rangeMin), max: settings.rangeMax === '' ? 127 : Number(settings.rangeMax) }
+        : null,
+      maxNotesPerBar: Number(settings.maxNotesPerBar) || 0,
+      minNoteLength: Math.max(1, Math.round(settings.minNoteBeats * gridDivision))
+    };
+  };
+
+  const updateResponseConstraint = (field, value) => {
+    setResponseConstraints(previous => ({ ...previous, [field]: value }));
+  };
+
+  // The user's loop as sent to the generators
+  const getUserPhrase = () => sortNotes(userNotesRef.current);
+
+  // The harmony voice follows the user's loop as it is played
+  const harmonyNotes = useMemo(
+    () => generateHarmony(sortNotes(userNotes), harmonyVoice),
+    [userNotes, harmonyVoice]
+  );
+
+  // Send the user's loop to the generator, remembering what was sent
+  const respondToUserNotes = () => {
+    const combinedNotes = getUserPhrase();
+
+    // Update previous notes immediately to prevent re-sending
+    previousNotesRef.current = [...userNotesRef.current];
+    requestAIResponse(combinedNotes);
+  };
+
+  // Ask the generator for a response to the user's loop
+  const requestAIResponse = (notes) => {
+    if (!window.magentaManager) {
+      console.error('Magenta manager not found on window object');
+      return;
+    }
+
+    // A newer loop supersedes whatever is still being generated
+    if (generationAbortRef.current) {
+      generationAbortRef.current.abort();
+    }
+    const controller = new AbortController();
+    generationAbortRef.current = controller;
+    const { signal } = controller;
+
+    const manager = window.magentaManager;
+    const context = getSessionContext();
+    const {
+      generationMode,
+      drumMode,
+      isCandidatePinned: isPinned,
+      isProgressing: isPlayingProgression,
+      temperature: requestTemperature,
+      inputMapping: requestMapping
+    } = aiSettingsRef.current;
+    const constraints = getConstraints(aiSettingsRef.current.responseConstraints);
+    const lengthInBars = Math.min(aiSettingsRef.current.responseBars || context.numberOfBars, context.numberOfBars);
+
+    // A pinned candidate or a running interpolation keeps playing; only the
+    // drums follow the new loop
+    if (!isPinned && !isPlayingProgression) {
+      setIsWaitingForMagenta(true);
+      const request = generationMode === GENERATION_MODES.ACCOMPANIMENT
+        ? manager.generateAccompaniment(notes, context, { temperature: requestTemperature, constraints, inputMapping: requestMapping, signal })
+          .then(response => [{ ...response, score: null }])
+        : manager.generateCandidates(notes, context, {
+          temperature: requestTemperature,
+          lengthInBars,
+          constraints,
+          inputMapping: requestMapping,
+          signal
+        })
+          .then(candidates => candidates.map(candidate => ({ ...candidate, chords: [] })));
+
+      console.log('Magenta manager found, generating response...');
+      request
+        .then(candidates => {
+          console.log('Got candidates from Magenta:', candidates);
+          // Remember how each response was made, for the feedback profile
+          const playable = candidates
+            .filter(candidate => candidate.notes.length > 0)
+            .map(candidate => ({
+              ...candidate,
+              params: {
+                modelId: manager.modelId,
+                temperature: candidate.temperature || requestTemperature,
+                generationMode,
+                constraints
+              }
+            }));
+          if (playable.length > 0) {
+            // Responses are already expressed in grid positions for this session
+            setAiCandidates(playable);
+            setCandidateIndex(0);
+          }
+        })
+        .catch(error => {
+          if (error instanceof GenerationCancelledError) {
+            console.log('Generation cancelled, a newer loop is on its way');
+          } else {
+            console.error('Error generating response:', error);
+          }
+        })
+        .finally(() => {
+          // Allow new notes to be sent after response (success or failure)
+          if (generationAbortRef.current === controller) {
+            generationAbortRef.current = null;
+            setIsWaitingForMagenta(false);
+          }
+        });
+    }
+
+    if (drumMode !== DRUM_MODES.OFF) {
+      manager.generateDrums(notes, context, { useModel: drumMode === DRUM_MODES.MODEL, signal })
+        .then(pattern => {
+          console.log('Setting drum notes:', pattern);
+          setDrumNotes(pattern);
+        })
+        .catch(error => {
+          if (!(error instanceof GenerationCancelledError)) {
+            console.error('Error generating drums:', error);
+          }
+        });
     }
   };
 
+  // Keep the drum pattern scheduled on the Transport while jamming
+  useEffect(() => {
+    if (!isRunning) {
+      return;
+    }
+    if (!drumPlayerRef.current) {
+      drumPlayerRef.current = new DrumPlayer({ onHit: event => bleedFilter.addEvent(event) });
+    }
+    drumPlayerRef.current.setPattern(drumMode === DRUM_MODES.OFF ? [] : drumNotes, sessionContext);
+  }, [drumNotes, drumMode, isRunning, sessionContext, bleedFilter]);
+
+  // Keep the AI response scheduled on the Transport while jamming
+  useEffect(() => {
+    if (!isRunning) {
+      return;
+    }
+    if (!aiPlayerRef.current) {
+      aiPlayerRef.current = new AIPlayer({ onNote: event => bleedFilter.addEvent(event) });
+    }
+    aiPlayerRef.current.setNotes(aiNotes, sessionContext, aiPlaybackMode);
+  }, [aiNotes, aiPlaybackMode, isRunning, sessionContext, bleedFilter]);
+
+  // The harmony plays along on every pass
+  useEffect(() => {
+    if (!isRunning) {
+      return;
+    }
+    if (!harmonyPlayerRef.current) {
+      harmonyPlayerRef.current = new AIPlayer({ onNote: event => bleedFilter.addEvent(event) });
+    }
+    harmonyPlayerRef.current.setNotes(harmonyNotes, sessionContext, PLAYBACK_MODES.OVERLAP);
+  }, [harmonyNotes, isRunning, sessionContext, bleedFilter]);
+
+  // Runs after the players are created above
+  useEffect(() => {
+    [aiPlayerRef.current, harmonyPlayerRef.current].forEach(player => {
+      if (player) {
+        player.setInstrument(aiInstrument);
+        player.setVolume(aiVolume);
+      }
+    });
+  }, [aiInstrument, aiVolume, isRunning]);
+
+  // Responses stay within what the AI instrument can play. Runs after the
+  // manager is attached on mount.
+  useEffect(() => {
+    if (window.magentaManager) {
+      window.magentaManager.setInstrumentRange(AI_INSTRUMENTS[aiInstrument].range);
+    }
+  }, [aiInstrument]);
+
   // Add function to quantize a note to the nearest 32nd note
   const quantizeNote = (pitch, time) => {
     const secondsPerBeat = 60 / bpm;
@@ -335,64 +867,248 @@ export default function App() {
     };
   };
 
-  const listen = () => {
-    if (!analyserRef.current) {
-      console.error('Analyser not initialized');
+  // Feed the tuner with the latest frame. The needle shows the median of the
+  // last readings of the note, so it doesn't jitter.
+  const updateTuning = (frame) => {
+    if (!frame || frame.energy <= liveDetection.energyThreshold || !frame.pitch) {
+      tunerReadingsRef.current = { midi: null, cents: [] };
+      setTuning(null);
+      return;
+    }
+    const pitch = describePitch(frame.pitch, referencePitchRef.current);
+    const readings = tunerReadingsRef.current;
+    if (readings.midi !== pitch.midi) {
+      tunerReadingsRef.current = { midi: pitch.midi, cents: [] };
+    }
+    const { cents } = tunerReadingsRef.current;
+    cents.push(pitch.cents);
+    if (cents.length > TUNER_READINGS) {
+      cents.shift();
+    }
+    setTuning({ ...pitch, ...summarizeCents(cents), frequency: frame.pitch });
+  };
+
+  // The tuner outside a jam listens on its own; it shares the display loop
+  // slot with the jam
+  const stopTuner = () => {
+    if (animationFrameRef.current) {
+      cancelAnimationFrame(animationFrameRef.current);
+      animationFrameRef.current = null;
+    }
+    if (capturePipelineRef.current) {
+      capturePipelineRef.current.stop();
+    }
+    setIsTunerOn(false);
+    setTuning(null);
+  };
+
+  const handleToggleTuner = async () => {
+    if (isRunning) {
+      return;
+    }
+    if (isTunerOn) {
+      stopTuner();
+      return;
+    }
+    try {
+      if (Tone.context.state !== 'running') {
+        await Tone.start();
+      }
+      const stream = await requestMicrophonePermission();
+      if (!capturePipelineRef.current || capturePipelineRef.current.context !== Tone.context) {
+        capturePipelineRef.current = new CapturePipeline(Tone.context);
+      }
+      const pipeline = capturePipelineRef.current;
+      await pipeline.start(stream, liveDetection);
+      pipeline.onFrame = () => {};
+      setIsTunerOn(true);
+
+      const updateTuner = () => {
+        if (!pipeline.isRunning()) {
+          return;
+        }
+        updateTuning(pipeline.getLatestFrame());
+        animationFrameRef.current = requestAnimationFrame(updateTuner);
+      };
+      animationFrameRef.current = requestAnimationFrame(updateTuner);
+    } catch (err) {
+      console.error('Could not start the tuner:', err);
+      setError(`Could not start the tuner: ${err.message}`);
+    }
+  };
+
+  const updateReferencePitch = (hz) => {
+    saveReferencePitch(hz);
+    setReferencePitch(hz);
+  };
+
+  // A note tracker for the input mode and the settings of this jam, and how
+  // its notes land on the grid. Shared by the microphone and audio files.
+  const createNoteTracking = (settings) => {
+    const secondsPerSubdivision = 60 / bpm / gridDivision;
+    const totalPositions = numberOfBars * BEATS_PER_BAR * gridDivision;
+    const trackerOptions = {
+      energyThreshold: settings.energyThreshold,
+      minClarity: settings.minClarity,
+      stableFrames: settings.stableFrames,
+      // MAX_DURATION_OPTIONS are in 64th notes, 16 to a beat
+      maxDuration: maxNoteDuration / 16 * 60 / bpm,
+      referencePitch
+    };
+    const isPolyphonic = inputMode === INPUT_MODES.POLYPHONIC;
+    const tracker = isPolyphonic ? new PolyphonicTracker(trackerOptions) : new NoteTracker(trackerOptions);
+    const spectrumOptions = { referencePitch, minFrequency: settings.minFrequency, maxFrequency: settings.maxFrequency };
+
+    // Quantize a tracked note onto the grid; times are made relative to the
+    // start of the jam
+    const toGridNote = (trackedNote, origin) => {
+      const relativeStart = trackedNote.startTime - origin;
+      const relativeEnd = trackedNote.endTime - origin;
+      const startPosition = Math.round(relativeStart / secondsPerSubdivision) % totalPositions;
+      const length = Math.max(1, Math.round((relativeEnd - relativeStart) / secondsPerSubdivision));
+      return {
+        pitch: trackedNote.pitch,
+        // Notes held over the loop end are cut there
+        startPosition,
+        endPosition: Math.min(totalPositions, startPosition + length),
+        startTime: relativeStart,
+        endTime: relativeEnd,
+        velocity: trackedNote.velocity
+      };
+    };
+
+    return { isPolyphonic, tracker, spectrumOptions, toGridNote };
+  };
+
+  // Analysis runs on the frames posted by the capture worklet (see
+  // CapturePipeline.js), timed by the audio clock. Only the display updates
+  // are tied to animation frames.
+  // settings are the detection settings the capture was started with.
+  const listen = (settings) => {
+    const pipeline = capturePipelineRef.current;
+    if (!pipeline || !pipeline.isRunning()) {
+      console.error('Capture pipeline not started');
       return;
     }
-    
-    const buffer = bufferRef.current;
     
     let frameCount = 0;
-    let silenceStartTime = null;
-    const SILENCE_THRESHOLD = 0.2;
     let lastNotePosition = -1;
     let lastLoopEndPosition = -1;
     let lastBeatTime = 0;
     let startTime = null;
+    let loopCount = 0;
+    let lastSoundTime = null;
+
+    const secondsPerSubdivision = 60 / bpm / gridDivision;
+    const totalPositions = numberOfBars * BEATS_PER_BAR * gridDivision;
+    const { isPolyphonic, tracker, spectrumOptions, toGridNote } = createNoteTracking(settings);
+    const gate = new AdaptiveGate(settings.energyThreshold, { minClarity: settings.minClarity });
+    let gateThreshold = settings.energyThreshold;
+    let latestChord = null;
+
+    // Keep the audio of a finished loop pass as a take (when recording is
+    // armed) or as the last pass for retroactive capture. start is in
+    // compensated time; the sound arrived latencyOffset later.
+    const capturePass = (start, length) => {
+      const { isArmed, isRetroactive: keepsLastPass } = recordingSettingsRef.current;
+      if (!isArmed && !keepsLastPass) {
+        return;
+      }
+      const samples = pipeline.getSamplesBetween(start + latencyOffset, start + length + latencyOffset);
+      if (!samples) {
+        console.warn('Loop pass audio is no longer in the buffer');
+        return;
+      }
+      const pass = {
+        samples,
+        sampleRate: pipeline.sampleRate,
+        duration: length,
+        notes: sortNotes(userNotesRef.current),
+        bpm,
+        numberOfBars,
+        gridDivision
+      };
+      if (isArmed) {
+        addTake(pass);
+      } else {
+        lastPassRef.current = pass;
+        setHasLastPass(true);
+      }
+    };
+
+    const addTrackedNote = (trackedNote, origin) => {
+      // The metronome or the AI coming back through the speakers
+      if (isRejectingBleed) {
+        const source = bleedFilter.findSource(trackedNote);
+        if (source) {
+          console.log('Ignoring the app\'s own sound:', trackedNote, 'from', source);
+          return;
+        }
+      }
+      const note = toGridNote(trackedNote, origin);
+      console.log('Tracked note:', note);
 
-    const loop = () => {
+      setUserNotes(prev => {
+        const newNotes = placeNote(prev, note, modeRef.current.isAddMode);
+        userNotesRef.current = newNotes; // Update ref with latest notes
+        return newNotes;
+      });
+    };
+
+    const handleFrame = capturedFrame => {
       if (!isRunningRef.current) {
-        console.log('Analysis loop stopped');
         return;
       }
+      // Move the frame back to when the sound was played (see LatencyCalibrator.js)
+      const frame = { ...capturedFrame, time: capturedFrame.time - latencyOffset };
       
       frameCount++;
 
       try {
-        // Get time domain data for waveform
-        analyserRef.current.getFloatTimeDomainData(buffer);
-        
-        // Calculate current energy (RMS)
-        let sum = 0;
-        for (let i = 0; i < buffer.length; i++) {
-          sum += Math.abs(buffer[i]) * Math.abs(buffer[i]);
+        const currentEnergy = frame.energy;
+
+        // The gate follows the room noise
+        if (isGateAdaptive) {
+          gateThreshold = gate.update(frame);
+          tracker.setEnergyThreshold(gateThreshold);
         }
-        const currentEnergy = Math.sqrt(sum / buffer.length);
-        
-        // Get frequency data for visualization
-        const frequencyData = new Uint8Array(analyserRef.current.frequencyBinCount);
-        analyserRef.current.getByteFrequencyData(frequencyData);
-        setWaveformData(frequencyData);
-        
-        // Update input level for visualization
-        const normalizedLevel = Math.min(1, currentEnergy * 2);
-        setInputLevel(normalizedLevel);
 
-        // Simple volume detection
-        const isSoundDetected = currentEnergy > VOLUME_THRESHOLD;
-        setIsDetectingSound(isSoundDetected);
+        // Simple volume detection; the app's own sound isn't the user playing.
+        // Frames too unclear to be a note count as unpitched.
+        const isPitched = frame.pitch > 0 && frame.clarity >= settings.minClarity;
+        const isSoundDetected = currentEnergy > gateThreshold && !(isRejectingBleed && bleedFilter.isOutputFrame({
+          time: frame.time,
+          pitch: isPitched ? frequencyToMidi(frame.pitch, referencePitch) : null
+        }));
+
+        // Audio clock time of the frame
+        const currentTime = frame.time;
 
-        // Use real-time for audio analysis
-        const currentTime = Tone.now();
+        // Answer as soon as the user stops playing for a while
+        if (isSoundDetected) {
+          lastSoundTime = currentTime;
+        } else if (aiSettingsRef.current.triggerPolicy === TRIGGER_POLICIES.PHRASE_END &&
+            lastSoundTime !== null &&
+            currentTime - lastSoundTime > PHRASE_END_BEATS * 60 / bpm) {
+          lastSoundTime = null;
+          if (JSON.stringify(userNotesRef.current) !== JSON.stringify(previousNotesRef.current)) {
+            console.log('Phrase end detected, sending to Magenta...');
+            respondToUserNotes();
+          }
+        }
         
-        // Initialize start time if not set
+        // The grid starts where the Transport started, so the latency
+        // compensation moves notes on the grid
         if (startTime === null) {
-          startTime = currentTime;
+          startTime = capturedFrame.time - Tone.Transport.getSecondsAtTime(capturedFrame.time);
         }
         
-        // Calculate time relative to start
+        // Calculate time relative to start; with the latency taken off the
+        // first frames can be from before the start
         const relativeTime = currentTime - startTime;
+        if (relativeTime < 0) {
+          return;
+        }
         const secondsPerBeat = 60 / bpm;
         const currentBeat = Math.floor(relativeTime / secondsPerBeat);
         
@@ -400,20 +1116,22 @@ export default function App() {
         if (currentBeat > lastBeatTime) {
           lastBeatTime = currentBeat;
           // Synchronize with Transport position at beat boundaries
-          const transportPosition = Math.floor(Tone.Transport.position.split(':')[0]);
-          if (transportPosition !== currentBeat % (numberOfBars * BEATS_PER_BAR)) {
+          const [transportBars, transportBeats] = Tone.Transport.position.split(':').map(Number);
+          const beatsPerLoop = numberOfBars * BEATS_PER_BAR;
+          const transportBeat = (transportBars * BEATS_PER_BAR + Math.floor(transportBeats)) % beatsPerLoop;
+          const loopBeat = currentBeat % beatsPerLoop;
+          if (transportBeat !== loopBeat) {
             console.log('Resynchronizing with Transport at beat:', currentBeat);
-            Tone.Transport.position = `${currentBeat % (numberOfBars * BEATS_PER_BAR)}:0:0`;
+            Tone.Transport.position = `${Math.floor(loopBeat / BEATS_PER_BAR)}:${loopBeat % BEATS_PER_BAR}:0`;
           }
         }
 
         // Calculate position for note detection relative to start time
         const currentPosition = Math.floor(relativeTime / (60 / bpm / gridDivision));
-        const totalPositions = numberOfBars * BEATS_PER_BAR * gridDivision;
         const normalizedPosition = currentPosition % totalPositions;
 
-        // Check for loop end - only when crossing from last position to 0
-        if (normalizedPosition === 0 && (lastLoopEndPosition === totalPositions - 1 || lastLoopEndPosition === -1)) {
+        // Check for loop end - when the position wraps around to the start
+        if ((lastLoopEndPosition === -1 && normalizedPosition === 0) || normalizedPosition < lastLoopEndPosition) {
           console.log('Loop end detected at normalized position:', normalizedPosition, 'total positions:', totalPositions);
           console.log('Current userNotes:', userNotes);
           
@@ -425,159 +1143,73 @@ export default function App() {
           const hasBufferChanged = JSON.stringify(userNotesRef.current) !== JSON.stringify(previousNotesRef.current);
           console.log('hasBufferChanged:', hasBufferChanged);
           
-          if (hasBufferChanged && !isWaitingForMagenta) {
-            console.log('Buffer changed, sending to Magenta...');
-            
-            // Combine consecutive notes of the same pitch
-            const combinedNotes = [];
-            let currentNote = null;
-
-            userNotesRef.current.forEach(note => {
-              if (!currentNote) {
-                currentNote = { ...note };
-              } else if (note.pitch === currentNote.pitch) {
-                // Extend the current note
-                currentNote.endTime = note.endTime;
-                currentNote.endPosition = note.endPosition;
-              } else {
-                // Different pitch, save current note and start new one
-                combinedNotes.push(currentNote);
-                currentNote = { ...note };
-              }
-            });
-
-            // Don't forget to add the last note
-            if (currentNote) {
-              combinedNotes.push(currentNote);
-            }
-
-            // Convert notes to Magenta format
-            const magentaNotes = combinedNotes.map(note => ({
-              pitch: Math.max(0, Math.min(127, note.pitch)), // Clamp to valid MIDI range
-              startTime: note.startTime,
-              endTime: note.endTime,
-              velocity: note.velocity || 100 // Default velocity if not set
-            }));
-            console.log('Converted notes for Magenta:', magentaNotes);
-            
-            // Update previous notes immediately to prevent re-sending
-            previousNotesRef.current = [...userNotesRef.current];
-            setIsWaitingForMagenta(true);
-            
-            // Send to Magenta for generation
-            if (window.magentaManager) {
-              console.log('Magenta manager found, generating response...');
-              window.magentaManager.generateResponse(magentaNotes)
-                .then(response => {
-                  console.log('Got response from Magenta:', response);
-                  if (response && response.length > 0) {
-                    // Convert response notes to match our format
-                    const convertedResponse = response.map(note => {
-                      // Convert time to grid positions based on BPM and subdivisions
-                      const secondsPerBeat = 60 / bpm;
-                      const secondsPerSubdivision = secondsPerBeat / SUBDIVISIONS;
-                      const startPosition = Math.floor(note.startTime / secondsPerSubdivision);
-                      const endPosition = Math.ceil(note.endTime / secondsPerSubdivision);
-                      
-                      return {
-                        pitch: note.pitch,
-                        startPosition,
-                        endPosition,
-                        startTime: note.startTime,
-                        endTime: note.endTime,
-                        velocity: note.velocity
-                      };
-                    });
-                    console.log('Setting AI notes:', convertedResponse);
-                    setAiNotes(convertedResponse);
-                  }
-                })
-                .catch(error => {
-                  console.error('Error generating response:', error);
-                })
-                .finally(() => {
-                  // Allow new notes to be sent after response (success or failure)
-                  setIsWaitingForMagenta(false);
-                });
-            } else {
-              console.error('Magenta manager not found on window object');
-              setIsWaitingForMagenta(false);
+          // A change while a response is still generating cancels that request
+          const { triggerPolicy: policy, triggerEveryLoops: everyLoops } = aiSettingsRef.current;
+          if (lastLoopEndPosition !== -1) {
+            loopCount++;
+            const loopSeconds = totalPositions * secondsPerSubdivision;
+            const passIndex = Math.floor(relativeTime / loopSeconds);
+            capturePass(startTime + (passIndex - 1) * loopSeconds, loopSeconds);
+            // Interpolations move one step per loop
+            if (aiSettingsRef.current.isProgressing) {
+              setCandidateIndex(index => index + 1);
             }
+          }
+          const isTriggerLoop = policy === TRIGGER_POLICIES.EVERY_LOOP ||
+            (policy === TRIGGER_POLICIES.EVERY_N_LOOPS && loopCount % everyLoops === 0);
+          if (hasBufferChanged && isTriggerLoop) {
+            console.log('Buffer changed, sending to Magenta...');
+            respondToUserNotes();
           } else {
-            console.log('No buffer changes detected at loop end or waiting for Magenta response');
+            console.log('No response triggered at loop end');
           }
         }
         lastLoopEndPosition = normalizedPosition;
 
-        // Handle note detection
-        if (isSoundDetected) {
-          const [pitch, clarity] = detectorRef.current.findPitch(buffer, audioCtxRef.current.sampleRate);
-          
-          if (pitch && clarity > 0.7) {
-            const position = normalizedPosition;
-            const midiNote = Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(pitch / 440))));
-            
-            // Create a new note with relative timing
-            const note = {
-              pitch: midiNote,
-              startPosition: position,
-              endPosition: position + 1,
-              startTime: relativeTime,
-              endTime: relativeTime + (60 / bpm / gridDivision)
-            };
-            
-            // Add the note to userNotes
-            setUserNotes(prev => {
-              const newNotes = modeRef.current.isAddMode ? 
-                (prev.some(n => n.startPosition === position && n.pitch === midiNote) ? prev : [...prev, note]) :
-                [...prev.filter(n => n.startPosition !== position), note];
-              userNotesRef.current = newNotes; // Update ref with latest notes
-              return newNotes;
-            });
-          }
-        } else {
-          // If no sound is detected and we have an active note
-          if (currentNoteState.isActive) {
-            if (!silenceStartTime) {
-              silenceStartTime = currentTime;
-            } else if (currentTime - silenceStartTime > 0.1) { // End note after 100ms of silence
-              handleNoteEnd(currentTime);
-              silenceStartTime = null;
-            }
-          }
+        // Notes come out of the tracker once they have ended; chords as
+        // stacked notes
+        const trackedFrame = isPolyphonic
+          ? { ...frame, ...analyzeSpectrum(pipeline.getSpectrum(), pipeline.sampleRate, spectrumOptions) }
+          : frame;
+        tracker.process(trackedFrame).forEach(trackedNote => addTrackedNote(trackedNote, startTime));
+        if (isPolyphonic) {
+          latestChord = tracker.getCurrentChord();
         }
-        
-        // Always update pitch display
-        if (isSoundDetected) {
-          const [pitch, clarity] = detectorRef.current.findPitch(buffer, audioCtxRef.current.sampleRate);
-          setPitchHz(pitch ? pitch.toFixed(2) : null);
-          setCurrentNote(pitch ? frequencyToNote(pitch) : { note: '-', octave: '-' });
+      } catch (error) {
+        console.error('Error in analysis loop:', error);
+      }
+    };
+
+    // Show the latest frame once per display refresh
+    const updateDisplay = () => {
+      if (!pipeline.isRunning()) {
+        console.log('Display loop stopped');
+        return;
+      }
+
+      const frame = pipeline.getLatestFrame();
+      if (frame) {
+        setWaveformData(pipeline.getFrequencyData());
+        setInputLevel(Math.min(1, frame.energy * 2));
+        const isSoundDetected = frame.energy > gateThreshold;
+        setIsDetectingSound(isSoundDetected);
+        setGateLevel(gateThreshold);
+        setCurrentChord(isSoundDetected ? latestChord : null);
+        if (isSoundDetected && frame.pitch) {
+          setPitchHz(frame.pitch.toFixed(2));
+          setCurrentNote(describePitch(frame.pitch, referencePitch));
         } else {
           setPitchHz(null);
           setCurrentNote({ note: '-', octave: '-' });
-          
-          // Start silence timer if we have an active note
-          if (currentNoteState.isActive && !silenceStartTime) {
-            silenceStartTime = currentTime;
-          }
-          
-          // End note if silence duration exceeds threshold
-          if (silenceStartTime && (currentTime - silenceStartTime) > SILENCE_THRESHOLD) {
-            handleNoteEnd(silenceStartTime);
-            silenceStartTime = null;
-          }
         }
-      } catch (error) {
-        console.error('Error in analysis loop:', error);
-        return;
       }
+      updateTuning(frame);
 
-      // Continue the loop
-      animationFrameRef.current = requestAnimationFrame(loop);
+      animationFrameRef.current = requestAnimationFrame(updateDisplay);
     };
-    
-    // Start the loop
-    animationFrameRef.current = requestAnimationFrame(loop);
+
+    pipeline.onFrame = handleFrame;
+    animationFrameRef.current = requestAnimationFrame(updateDisplay);
   };
 
   const requestMicrophonePermission = async () => {
@@ -691,24 +1323,31 @@ export default function App() {
       
       // Schedule the metronome at beat level
       console.log('Scheduling metronome...');
+      // The playhead moves when the beat is heard: the callback runs ahead
+      // of the audio, and about half of the measured round trip is output
+      // latency
+      const playheadDelay = latencyOffset / 2;
       Tone.Transport.scheduleRepeat((time) => {
         if (isAudibleClick) {
           synth.triggerAttackRelease("C2", "8n", time);
+          bleedFilter.addEvent({ time, endTime: time + Tone.Time("8n").toSeconds(), pitch: 36, isPercussive: true });
         }
         
-        // Update position
-        position = (position + 1) % totalPositions;
-        setPlayheadPosition(position);
-        
-        // Trigger visual click
-        if (visualClickRef.current) {
-          visualClickRef.current.style.backgroundColor = '#4CAF50';
-          setTimeout(() => {
-            if (visualClickRef.current) {
-              visualClickRef.current.style.backgroundColor = '#eee';
-            }
-          }, 50);
-        }
+        Tone.Draw.schedule(() => {
+          // Update position
+          position = (position + 1) % totalPositions;
+          setPlayheadPosition(position);
+          
+          // Trigger visual click
+          if (visualClickRef.current) {
+            visualClickRef.current.style.backgroundColor = '#4CAF50';
+            setTimeout(() => {
+              if (visualClickRef.current) {
+                visualClickRef.current.style.backgroundColor = '#eee';
+              }
+            }, 50);
+          }
+        }, time + playheadDelay);
       }, "4n");
       
       console.log('Starting transport...');
@@ -722,6 +1361,15 @@ export default function App() {
   };
 
   const stopMetronome = () => {
+    if (drumPlayerRef.current) {
+      drumPlayerRef.current.clear();
+    }
+    if (aiPlayerRef.current) {
+      aiPlayerRef.current.clear();
+    }
+    if (harmonyPlayerRef.current) {
+      harmonyPlayerRef.current.clear();
+    }
     Tone.Transport.cancel();
     Tone.Transport.stop();
     if (metronomeRef.current) {
@@ -760,8 +1408,17 @@ export default function App() {
           await Tone.start();
         }
         
+        if (isTunerOn) {
+          stopTuner();
+        }
+
+        // Listen to the room first, while nobody plays
+        const settings = calibrateRoomOnStart
+          ? applyRoomSettings(detection, await runRoomCalibration())
+          : liveDetection;
+
         // Start audio analysis first
-        await startAudioAnalysis();
+        await startAudioAnalysis(settings);
         
         // Then start metronome
         await startMetronome();
@@ -775,6 +1432,9 @@ export default function App() {
         
         // Set running ref to false first
         isRunningRef.current = false;
+        if (generationAbortRef.current) {
+          generationAbortRef.current.abort();
+        }
         
         // Stop metronome
         stopMetronome();
@@ -786,15 +1446,16 @@ export default function App() {
         }
         
         // Disconnect audio source but don't close context
-        if (sourceRef.current) {
-          sourceRef.current.disconnect();
-          sourceRef.current = null;
+        if (capturePipelineRef.current) {
+          capturePipelineRef.current.stop();
         }
         
         // Reset state
         setError(null);
         setInputLevel(0);
         setIsDetectingSound(false);
+        setTuning(null);
+        setGateLevel(null);
         setIsRunning(false);
         console.log('Jam stopped');
       }
@@ -804,7 +1465,132 @@ export default function App() {
     }
   };
 
-  const startAudioAnalysis = async () => {
+  // Measure the round-trip latency of the selected input with the capture
+  // pipeline; only while not jamming
+  const handleCalibrateLatency = async (source) => {
+    if (isRunning) {
+      return;
+    }
+    if (isTunerOn) {
+      stopTuner();
+    }
+    setCalibration({ state: 'running', clicksPlayed: 0, clicks: 0, result: null });
+    try {
+      if (Tone.context.state !== 'running') {
+        await Tone.start();
+      }
+      const stream = await requestMicrophonePermission();
+      if (!capturePipelineRef.current || capturePipelineRef.current.context !== Tone.context) {
+        capturePipelineRef.current = new CapturePipeline(Tone.context);
+      }
+      await capturePipelineRef.current.start(stream, liveDetection);
+      const calibrator = new LatencyCalibrator(capturePipelineRef.current);
+      const result = await calibrator.run({
+        source,
+        onProgress: (clicksPlayed, clicks) => setCalibration(previous => ({ ...previous, clicksPlayed, clicks }))
+      });
+      setCalibration(previous => ({ ...previous, state: result ? 'done' : 'failed', result }));
+    } catch (err) {
+      console.error('Latency calibration failed:', err);
+      setCalibration(previous => ({ ...previous, state: 'failed' }));
+      setError(`Latency calibration failed: ${err.message}`);
+    } finally {
+      if (capturePipelineRef.current) {
+        capturePipelineRef.current.stop();
+      }
+    }
+  };
+
+  // Play an audio file into the loop instead of the microphone: the file
+  // starts at bar 1 and goes through the same note tracking, quantization
+  // and response as a live pass, faster than real time. The file is kept as
+  // a take to jam against.
+  const handleOpenAudioFile = async (file) => {
+    if (isRunning) {
+      return;
+    }
+    setFileTranscription({ state: 'running', name: file.name, progress: 0, notes: 0 });
+    try {
+      // Files are normalized, the room doesn't matter
+      const { isPolyphonic, tracker, spectrumOptions, toGridNote } = createNoteTracking(detection);
+      const sampleRate = Tone.context.sampleRate;
+      const { frames, samples, duration } = await transcribeAudioFile(await file.arrayBuffer(), {
+        sampleRate,
+        spectrumOptions: isPolyphonic ? spectrumOptions : null,
+        windowSize: detection.windowSize,
+        minFrequency: detection.minFrequency,
+        maxFrequency: detection.maxFrequency,
+        onProgress: progress => setFileTranscription(previous => ({ ...previous, progress }))
+      });
+
+      let notes = [];
+      const addTrackedNotes = trackedNotes => trackedNotes.forEach(trackedNote => {
+        notes = placeNote(notes, toGridNote(trackedNote, 0), modeRef.current.isAddMode);
+      });
+      frames.forEach(frame => addTrackedNotes(tracker.process(frame)));
+      addTrackedNotes(tracker.flush(frames.length > 0 ? frames[frames.length - 1].time : 0));
+      console.log(`Transcribed ${notes.length} notes from ${file.name}:`, notes);
+
+      userNotesRef.current = notes;
+      setUserNotes(notes);
+      addTake({ samples, sampleRate, duration, notes, bpm, numberOfBars, gridDivision, name: file.name });
+      setFileTranscription(previous => ({ ...previous, state: 'done', progress: 1, notes: notes.length }));
+      respondToUserNotes();
+    } catch (err) {
+      console.error('Audio file transcription failed:', err);
+      setFileTranscription(previous => ({ ...previous, state: 'failed' }));
+      setError(`Could not transcribe ${file.name}: ${err.message}`);
+    }
+  };
+
+  const updateLatencyOffset = (seconds) => {
+    saveLatencyOffset(selectedMic, seconds);
+    setLatencyOffset(seconds);
+  };
+
+  // Measure the room noise. The room is heard with the profile's own gain.
+  // Resolves with the room settings, or null.
+  const runRoomCalibration = async () => {
+    setRoomCalibration({ state: 'running', progress: 0, result: null });
+    try {
+      if (Tone.context.state !== 'running') {
+        await Tone.start();
+      }
+      const stream = await requestMicrophonePermission();
+      if (!capturePipelineRef.current || capturePipelineRef.current.context !== Tone.context) {
+        capturePipelineRef.current = new CapturePipeline(Tone.context);
+      }
+      await capturePipelineRef.current.start(stream, detection);
+      const calibrator = new RoomCalibrator(capturePipelineRef.current, detection.gain);
+      const result = await calibrator.run({
+        onProgress: progress => setRoomCalibration(previous => ({ ...previous, progress }))
+      });
+      setRoomCalibration({ state: result ? 'done' : 'failed', progress: 1, result });
+      return result;
+    } catch (err) {
+      console.error('Room calibration failed:', err);
+      setRoomCalibration({ state: 'failed', progress: 0, result: null });
+      setError(`Room calibration failed: ${err.message}`);
+      return null;
+    } finally {
+      if (capturePipelineRef.current) {
+        capturePipelineRef.current.stop();
+      }
+    }
+  };
+
+  const handleCalibrateRoom = async () => {
+    if (isRunning) {
+      return;
+    }
+    if (isTunerOn) {
+      stopTuner();
+    }
+    await runRoomCalibration();
+  };
+
+  // settings are the detection settings to capture with
+  const startAudioAnalysis = async (settings) => {
     try {
       // Clear notes when starting a new jam
       setUserNotes([]);
@@ -818,37 +1604,13 @@ export default function App() {
       const stream = await requestMicrophonePermission();
       console.log('Microphone access granted, stream:', stream);
       
-      // Create a new audio processing chain
-      console.log('Creating audio processing chain...');
-      sourceRef.current = audioCtxRef.current.createMediaStreamSource(stream);
-      console.log('Media stream source created:', sourceRef.current);
-      
-      // Create a gain node to boost the input signal
-      const gainNode = audioCtxRef.current.createGain();
-      gainNode.gain.value = 20.0;
-      console.log('Gain node created:', gainNode);
-      
-      // Create analyzer after gain
-      analyserRef.current = audioCtxRef.current.createAnalyser();
-      analyserRef.current.fftSize = 2048;
-      analyserRef.current.smoothingTimeConstant = 0.8;
-      console.log('Analyzer created:', analyserRef.current);
-      
-      // Connect the nodes
-      sourceRef.current.connect(gainNode);
-      gainNode.connect(analyserRef.current);
-      console.log('Audio nodes connected');
-      
-      // Initialize audio buffer
-      console.log('Initializing audio buffer...');
-      const bufferSize = 2048;
-      bufferRef.current = new Float32Array(bufferSize);
-      console.log('Audio buffer initialized');
-      
-      // Initialize pitch detector
-      console.log('Initializing pitch detector...');
-      detectorRef.current = PitchDetector.forFloat32Array(bufferSize);
-      console.log('Pitch detector initialized:', detectorRef.current);
+      // Capture and pitch detection run in an AudioWorklet; a new context
+      // needs a new pipeline
+      console.log('Starting capture pipeline...');
+      if (!capturePipelineRef.current || capturePipelineRef.current.context !== audioCtxRef.current) {
+        capturePipelineRef.current = new CapturePipeline(audioCtxRef.current);
+      }
+      await capturePipelineRef.current.start(stream, settings);
       
       setError(null);
       
@@ -860,7 +1622,7 @@ export default function App() {
       }
       
       console.log('Starting analysis loop...');
-      listen();
+      listen(settings);
     } catch (err) {
       console.error('Error in startAudioAnalysis:', err);
       throw err;
@@ -973,6 +1735,38 @@ export default function App() {
       });
     });
 
+    // Add the harmony voice as its own track
+    if (harmonyNotes.length > 0) {
+      const harmonyTrack = midi.addTrack();
+      harmonyTrack.name = "AI Harmony";
+      harmonyNotes.forEach((note) => {
+        const startTime = (note.startPosition * 60) / (bpm * gridDivision);
+        const endTime = (note.endPosition * 60) / (bpm * gridDivision);
+        // Same octave shift as the user and AI tracks
+        harmonyTrack.addNote({
+          midi: note.pitch + 12,
+          time: startTime,
+          duration: endTime - startTime,
+          velocity: (note.velocity || 80) / 127
+        });
+      });
+    }
+
+    // Add drums on General MIDI channel 10
+    if (drumNotes.length > 0) {
+      const drumTrack = midi.addTrack();
+      drumTrack.name = "AI Drums";
+      drumTrack.channel = 9;
+      drumNotes.forEach((note) => {
+        drumTrack.addNote({
+          midi: note.pitch,
+          time: (note.startPosition * 60) / (bpm * gridDivision),
+          duration: 60 / (bpm * gridDivision),
+          velocity: (note.velocity || 100) / 127
+        });
+      });
+    }
+
     // Set tempo
     midi.header.setTempo(bpm);
 
@@ -994,6 +1788,22 @@ export default function App() {
       
       // Stop metronome
       stopMetronome();
+      if (drumPlayerRef.current) {
+        drumPlayerRef.current.dispose();
+        drumPlayerRef.current = null;
+      }
+      if (aiPlayerRef.current) {
+        aiPlayerRef.current.dispose();
+        aiPlayerRef.current = null;
+      }
+      if (harmonyPlayerRef.current) {
+        harmonyPlayerRef.current.dispose();
+        harmonyPlayerRef.current = null;
+      }
+      if (takePlayerRef.current) {
+        takePlayerRef.current.dispose();
+        takePlayerRef.current = null;
+      }
       
       // Stop audio analysis
       if (animationFrameRef.current) {
@@ -1002,9 +1812,9 @@ export default function App() {
       }
       
       // Disconnect audio source
-      if (sourceRef.current) {
-        sourceRef.current.disconnect();
-        sourceRef.current = null;
+      if (capturePipelineRef.current) {
+        capturePipelineRef.current.stop();
+        capturePipelineRef.current = null;
       }
       
       // Don't close the Tone.js context here
@@ -1013,6 +1823,28 @@ export default function App() {
     };
   }, []); // Empty dependency array means this runs only on mount/unmount
 
+  const isModelLoading = modelStatus.state === MODEL_STATUS.IDLE ||
+    modelStatus.state === MODEL_STATUS.LOADING_LIBRARY ||
+    modelStatus.state === MODEL_STATUS.LOADING_MODEL;
+
+  // Swap the generator without reloading the page
+  const handleModelChange = (event) => switchModel(event.target.value);
+
+  const switchModel = async (newModelId) => {
+    setModelId(newModelId);
+    if (!window.magentaManager) {
+      return;
+    }
+
+    try {
+      await window.magentaManager.setModel(newModelId);
+    } catch (error) {
+      // The previous model stays active
+      console.error('Failed to switch model:', error);
+      setModelId(window.magentaManager.modelId);
+    }
+  };
+
   // Update mode change handler
   const handleModeChange = () => {
     const newMode = !isAddMode;
@@ -1055,6 +1887,96 @@ export default function App() {
         </div>
       )}
 
+      <div style={{ marginBottom: 20 }}>
+        <label htmlFor="input-mode" style={{ marginRight: 10 }}>
+          Input:
+        </label>
+        <select
+          id="input-mode"
+          value={inputMode}
+          onChange={(e) => setInputMode(e.target.value)}
+          style={{ padding: "5px 10px" }}
+          disabled={isRunning}
+        >
+          <option value={INPUT_MODES.MONOPHONIC}>Single notes</option>
+          <option value={INPUT_MODES.POLYPHONIC}>Chords (polyphonic)</option>
+        </select>
+      </div>
+
+      <div style={{ marginBottom: 20 }}>
+        <label htmlFor="instrument-profile" style={{ marginRight: 10 }}>
+          Instrument:
+        </label>
+        <select
+          id="instrument-profile"
+          value={inputSettings.instrumentId}
+          onChange={(e) => handleInstrumentChange(e.target.value)}
+          style={{ padding: "5px 10px" }}
+          disabled={isRunning || isTunerOn}
+        >
+          {INSTRUMENT_PROFILES.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+          <option value={CUSTOM_PROFILE_ID}>Custom</option>
+        </select>
+      </div>
+      {inputSettings.instrumentId === CUSTOM_PROFILE_ID && (
+        <DetectionSettingsEditor
+          settings={inputSettings.custom}
+          onChange={updateCustomDetection}
+          disabled={isRunning || isTunerOn}
+        />
+      )}
+
+      <RoomCalibration
+        status={roomCalibration}
+        onCalibrate={handleCalibrateRoom}
+        onReset={() => setRoomCalibration({ state: 'idle', progress: 0, result: null })}
+        calibrateOnStart={calibrateRoomOnStart}
+        onCalibrateOnStartChange={setCalibrateRoomOnStart}
+        isAdaptive={isGateAdaptive}
+        onAdaptiveChange={setIsGateAdaptive}
+        disabled={isRunning}
+      />
+
+      <div style={{ marginBottom: 20 }}>
+        <label htmlFor="audio-file" style={{ marginRight: 10 }}>
+          Or transcribe an audio file:
+        </label>
+        <input
+          id="audio-file"
+          type="file"
+          accept=".wav,.mp3,.ogg,audio/wav,audio/mpeg,audio/ogg"
+          disabled={isRunning || fileTranscription.state === 'running'}
+          onChange={(e) => {
+            const [file] = e.target.files;
+            e.target.value = ''; // The same file can be opened again
+            if (file) {
+              handleOpenAudioFile(file);
+            }
+          }}
+        />
+        {fileTranscription.state === 'running' && (
+          <span style={{ marginLeft: 10, color: '#666' }}>
+            Transcribing... {Math.round(fileTranscription.progress * 100)}%
+          </span>
+        )}
+        {fileTranscription.state === 'done' && (
+          <span style={{ marginLeft: 10, color: '#666' }}>
+            {fileTranscription.notes} notes from {fileTranscription.name}
+          </span>
+        )}
+      </div>
+
+      <Tuner
+        tuning={tuning}
+        referencePitch={referencePitch}
+        onReferencePitchChange={updateReferencePitch}
+        isOn={isTunerOn}
+        onToggle={handleToggleTuner}
+        isJamming={isRunning}
+      />
+
       <div style={{ 
         maxWidth: "800px", 
         margin: "20px auto",
@@ -1168,6 +2090,16 @@ export default function App() {
             />
             <label htmlFor="audible-click">Audible Metronome</label>
           </div>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px", marginTop: "10px" }}>
+            <input
+              type="checkbox"
+              id="reject-bleed"
+              checked={isRejectingBleed}
+              onChange={(e) => setIsRejectingBleed(e.target.checked)}
+              disabled={isRunning}
+            />
+            <label htmlFor="reject-bleed">Ignore the app's own sound (speakers)</label>
+          </div>
           {isAudibleClick && (
             <p style={{ 
               margin: "5px 0 0 0",
@@ -1175,12 +2107,338 @@ export default function App() {
               color: "#666",
               fontStyle: "italic"
             }}>
-              🎧 Tip: For best results, use headphones to prevent the metronome from being detected by the microphone.
+              {isRejectingBleed
+                ? "🔈 Clicks and AI notes picked up by the microphone are ignored. Calibrate the input latency so they line up; headphones still give the cleanest detection."
+                : "🎧 Tip: For best results, use headphones to prevent the metronome from being detected by the microphone."}
             </p>
           )}
+          <LatencyCalibration
+            latencyMs={Math.round(latencyOffset * 1000)}
+            status={calibration}
+            onStart={handleCalibrateLatency}
+            onAccept={() => updateLatencyOffset(calibration.result.latency)}
+            onLatencyChange={(ms) => updateLatencyOffset(ms / 1000)}
+            disabled={isRunning}
+          />
         </div>
       </div>
 
+      {/* AI Settings Box */}
+      <div style={{
+        maxWidth: "760px",
+        margin: "0 auto 20px",
+        padding: "20px",
+        border: "1px solid #ccc",
+        borderRadius: "10px",
+        backgroundColor: "#f9f9f9"
+      }}>
+        <h3 style={{ margin: "0 0 15px 0", color: "#666" }}>AI Settings</h3>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <label htmlFor="model">Model:</label>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+            <span style={{ fontSize: "0.9em", color: "#666" }}>
+              {modelStatus.state === MODEL_STATUS.READY || modelStatus.state === MODEL_STATUS.FALLBACK
+                ? "Ready"
+                : (isModelLoading ? "Loading..." : "")}
+            </span>
+            <select
+              id="model"
+              value={modelId}
+              onChange={handleModelChange}
+              style={{ padding: "5px 10px" }}
+              disabled={isModelLoading}
+            >
+              {RESPONSE_MODELS.map(model => (
+                <option key={model.id} value={model.id}>
+                  {model.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="generation-mode">Response:</label>
+          <select
+            id="generation-mode"
+            value={generationMode}
+            onChange={(e) => setGenerationMode(e.target.value)}
+            style={{ padding: "5px 10px" }}
+          >
+            <option value={GENERATION_MODES.CONTINUATION}>Melodic continuation</option>
+            <option value={GENERATION_MODES.ACCOMPANIMENT}>Harmonic accompaniment</option>
+          </select>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="input-mapping">Out-of-range notes:</label>
+          <select
+            id="input-mapping"
+            value={inputMapping}
+            onChange={(e) => setInputMapping(e.target.value)}
+            style={{ padding: "5px 10px" }}
+          >
+            <option value={MAPPING_POLICIES.FOLD}>Fold into range by octave</option>
+            <option value={MAPPING_POLICIES.TRANSPOSE}>Transpose phrase</option>
+            <option value={MAPPING_POLICIES.DROP}>Drop</option>
+          </select>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="harmony-voice">Harmony voice:</label>
+          <select
+            id="harmony-voice"
+            value={harmonyVoice}
+            onChange={(e) => setHarmonyVoice(e.target.value)}
+            style={{ padding: "5px 10px" }}
+          >
+            <option value={HARMONY_VOICES.OFF}>Off</option>
+            <option value={HARMONY_VOICES.THIRD_ABOVE}>Thirds above</option>
+            <option value={HARMONY_VOICES.THIRD_BELOW}>Thirds below</option>
+            <option value={HARMONY_VOICES.SIXTH_ABOVE}>Sixths above</option>
+            <option value={HARMONY_VOICES.SIXTH_BELOW}>Sixths below</option>
+            <option value={HARMONY_VOICES.COUNTER_MELODY}>Counter-melody</option>
+          </select>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="drum-mode">Drums:</label>
+          <select
+            id="drum-mode"
+            value={drumMode}
+            onChange={(e) => setDrumMode(e.target.value)}
+            style={{ padding: "5px 10px" }}
+          >
+            <option value={DRUM_MODES.OFF}>Off</option>
+            <option value={DRUM_MODES.PATTERN}>Pattern</option>
+            <option value={DRUM_MODES.MODEL}>DrumsRNN</option>
+          </select>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="profile">Profile:</label>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+            <select
+              id="profile"
+              value={activeProfile.id}
+              onChange={handleProfileChange}
+              style={{ padding: "5px 10px" }}
+            >
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="New profile"
+              value={newProfileName}
+              onChange={(e) => setNewProfileName(e.target.value)}
+              style={{ width: "100px", padding: "5px" }}
+            />
+            <button onClick={handleCreateProfile} disabled={!newProfileName.trim()}>Add</button>
+            <button onClick={exportProfile}>Export</button>
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="adapt">
+            Adapt to my feedback ({activeProfile.feedback.length} {activeProfile.feedback.length === 1 ? "rating" : "ratings"}):
+          </label>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+            {activeProfile.adapt && activeProfile.feedback.length < MIN_FEEDBACK_FOR_ADAPTATION && (
+              <span style={{ fontSize: "0.9em", color: "#666" }}>
+                Needs {MIN_FEEDBACK_FOR_ADAPTATION} ratings
+              </span>
+            )}
+            <input
+              id="adapt"
+              type="checkbox"
+              checked={activeProfile.adapt}
+              onChange={handleAdaptChange}
+            />
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="ai-instrument">AI instrument:</label>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+            <select
+              id="ai-instrument"
+              value={aiInstrument}
+              onChange={(e) => setAiInstrument(e.target.value)}
+              style={{ padding: "5px 10px" }}
+            >
+              {Object.entries(AI_INSTRUMENTS).map(([id, instrument]) => (
+                <option key={id} value={id}>{instrument.name}</option>
+              ))}
+            </select>
+            <input
+              id="ai-volume"
+              type="range"
+              min="-40"
+              max="0"
+              step="1"
+              value={aiVolume}
+              onChange={(e) => setAiVolume(parseInt(e.target.value, 10))}
+              title={`AI volume: ${aiVolume} dB`}
+              style={{ width: "100px" }}
+            />
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="ai-playback-mode">AI plays:</label>
+          <select
+            id="ai-playback-mode"
+            value={aiPlaybackMode}
+            onChange={(e) => setAiPlaybackMode(e.target.value)}
+            style={{ padding: "5px 10px" }}
+          >
+            <option value={PLAYBACK_MODES.OVERLAP}>Along with me</option>
+            <option value={PLAYBACK_MODES.ALTERNATE}>Taking turns with me</option>
+          </select>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="temperature">Temperature: {temperature.toFixed(1)}</label>
+          <input
+            id="temperature"
+            type="range"
+            min="0.5"
+            max="2"
+            step="0.1"
+            value={temperature}
+            onChange={(e) => setTemperature(parseFloat(e.target.value))}
+            style={{ width: "200px" }}
+          />
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="response-bars">Response length:</label>
+          <select
+            id="response-bars"
+            value={responseBars}
+            onChange={(e) => setResponseBars(Number(e.target.value))}
+            style={{ padding: "5px 10px" }}
+          >
+            <option value={0}>Whole loop</option>
+            {[1, 2, 4].filter(bars => bars < numberOfBars).map(bars => (
+              <option key={bars} value={bars}>{bars} {bars === 1 ? "bar" : "bars"}</option>
+            ))}
+          </select>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="trigger-policy">Respond:</label>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+            <select
+              id="trigger-policy"
+              value={triggerPolicy}
+              onChange={(e) => setTriggerPolicy(e.target.value)}
+              style={{ padding: "5px 10px" }}
+            >
+              <option value={TRIGGER_POLICIES.EVERY_LOOP}>Every loop</option>
+              <option value={TRIGGER_POLICIES.EVERY_N_LOOPS}>Every N loops</option>
+              <option value={TRIGGER_POLICIES.PHRASE_END}>After a phrase ends</option>
+              <option value={TRIGGER_POLICIES.MANUAL}>When I press Respond</option>
+            </select>
+            {triggerPolicy === TRIGGER_POLICIES.EVERY_N_LOOPS && (
+              <input
+                id="trigger-every-loops"
+                type="number"
+                min="2"
+                max="16"
+                value={triggerEveryLoops}
+                onChange={(e) => setTriggerEveryLoops(Math.max(2, parseInt(e.target.value, 10) || 2))}
+                style={{ width: "50px", padding: "5px" }}
+              />
+            )}
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="key-lock">Key lock:</label>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+            <select
+              id="key-lock"
+              value={responseConstraints.keyLock}
+              onChange={(e) => updateResponseConstraint('keyLock', e.target.value)}
+              style={{ padding: "5px 10px" }}
+            >
+              <option value={KEY_LOCK.OFF}>Off</option>
+              <option value={KEY_LOCK.DETECTED}>Detected key</option>
+              {NOTE_NAMES.map((name, pitchClass) => (
+                <option key={name} value={String(pitchClass)}>{name}</option>
+              ))}
+            </select>
+            <select
+              id="scale"
+              value={responseConstraints.scale}
+              onChange={(e) => updateResponseConstraint('scale', e.target.value)}
+              style={{ padding: "5px 10px" }}
+              disabled={responseConstraints.keyLock === KEY_LOCK.OFF || responseConstraints.keyLock === KEY_LOCK.DETECTED}
+            >
+              {Object.entries(SCALES).map(([id, scale]) => (
+                <option key={id} value={id}>{scale.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="range-min">Response range:</label>
+          <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+            <select
+              id="range-min"
+              value={responseConstraints.rangeMin}
+              onChange={(e) => updateResponseConstraint('rangeMin', e.target.value)}
+              style={{ padding: "5px 10px" }}
+            >
+              <option value="">Lowest</option>
+              {RANGE_PITCHES.map(pitch => (
+                <option key={pitch} value={String(pitch)}>{midiToNoteName(pitch)}</option>
+              ))}
+            </select>
+            <span>to</span>
+            <select
+              id="range-max"
+              value={responseConstraints.rangeMax}
+              onChange={(e) => updateResponseConstraint('rangeMax', e.target.value)}
+              style={{ padding: "5px 10px" }}
+            >
+              <option value="">Highest</option>
+              {RANGE_PITCHES.map(pitch => (
+                <option key={pitch} value={String(pitch)}>{midiToNoteName(pitch)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="max-notes-per-bar">Max notes per bar (0 = no limit):</label>
+          <input
+            id="max-notes-per-bar"
+            type="number"
+            min="0"
+            max="32"
+            value={responseConstraints.maxNotesPerBar}
+            onChange={(e) => updateResponseConstraint('maxNotesPerBar', Math.max(0, parseInt(e.target.value, 10) || 0))}
+            style={{ width: "60px", padding: "5px" }}
+          />
+        </div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: "10px" }}>
+          <label htmlFor="min-note-length">Min note length:</label>
+          <select
+            id="min-note-length"
+            value={responseConstraints.minNoteBeats}
+            onChange={(e) => updateResponseConstraint('minNoteBeats', Number(e.target.value))}
+            style={{ padding: "5px 10px" }}
+          >
+            {MIN_NOTE_LENGTHS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {(modelStatus.state === MODEL_STATUS.MISSING ||
+          modelStatus.state === MODEL_STATUS.ERROR ||
+          modelStatus.state === MODEL_STATUS.FALLBACK) && (
+          <p style={{
+            margin: "10px 0 0 0",
+            fontSize: "0.9em",
+            color: modelStatus.state === MODEL_STATUS.FALLBACK ? "#e68a00" : "#ff4444",
+            textAlign: "left"
+          }}>
+            {modelStatus.message}
+          </p>
+        )}
+      </div>
+
       <button 
         onClick={toggleJam} 
         disabled={isCheckingPermissions}
@@ -1235,6 +2493,7 @@ export default function App() {
             </p>
             <p style={{ margin: "5px 0 0 0", fontSize: "0.9em", color: "#666" }}>
               Level: {(inputLevel * 100).toFixed(1)}%
+              {gateLevel !== null && ` · Gate: ${(Math.min(1, gateLevel * 2) * 100).toFixed(1)}%`}
             </p>
           </div>
           <div style={{ textAlign: "right" }}>
@@ -1244,6 +2503,11 @@ export default function App() {
             <p style={{ margin: "5px 0 0 0", fontSize: "0.9em", color: "#666" }}>
               {pitchHz ? `${pitchHz} Hz` : "--"}
             </p>
+            {inputMode === INPUT_MODES.POLYPHONIC && (
+              <p style={{ margin: "5px 0 0 0", fontSize: "1.2em", fontWeight: "bold", color: "#2196F3" }}>
+                Chord: {currentChord || "--"}
+              </p>
+            )}
           </div>
         </div>
 
@@ -1285,9 +2549,10 @@ export default function App() {
         <MusicGrid
           numberOfBars={numberOfBars}
           playheadPosition={playheadPosition}
-          userNotes={userNotes}
+          userNotes={auditioningTake ? auditioningTake.notes : userNotes}
           bpm={bpm}
           validNoteRange={window.magentaManager?.getValidNoteRange()}
+          mapsOutOfRangeNotes={inputMapping !== MAPPING_POLICIES.DROP}
           gridDivision={gridDivision}
           isAddMode={isAddMode}
           onModeChange={handleModeChange}
@@ -1296,8 +2561,30 @@ export default function App() {
           numberOfBars={numberOfBars}
           playheadPosition={playheadPosition}
           aiNotes={aiNotes}
+          aiChords={aiChords}
+          harmonyNotes={harmonyNotes}
+          candidateCount={aiCandidates.length}
+          candidateIndex={candidateIndex}
+          candidateScore={currentCandidate && currentCandidate.score ? currentCandidate.score.total : null}
+          onSelectCandidate={setCandidateIndex}
+          isPinned={isCandidatePinned}
+          onTogglePin={() => setIsCandidatePinned(!isCandidatePinned)}
+          onFeedback={handleFeedback}
+          feedback={currentCandidate && currentCandidate.feedback ? currentCandidate.feedback : null}
+          onRespond={triggerPolicy === TRIGGER_POLICIES.MANUAL ? respondToUserNotes : null}
+          canRespond={userNotes.length > 0}
           bpm={bpm}
+          gridDivision={gridDivision}
+          isGenerating={isWaitingForMagenta}
         />
+        {drumMode !== DRUM_MODES.OFF && (
+          <DrumGrid
+            numberOfBars={numberOfBars}
+            playheadPosition={playheadPosition}
+            drumNotes={drumNotes}
+            gridDivision={gridDivision}
+          />
+        )}
         <div style={{ marginTop: "10px", display: "flex", gap: "10px", justifyContent: "center" }}>
           <button
             onClick={exportMIDI}
@@ -1317,6 +2604,37 @@ export default function App() {
         </div>
       </div>
 
+      <PhraseTools
+        savedPhrases={savedPhrases}
+        onSavePhrase={handleSavePhrase}
+        onDeletePhrase={handleDeletePhrase}
+        onGenerateVariations={handleGenerateVariations}
+        onInterpolate={handleInterpolate}
+        onMorph={handleMorph}
+        onAccept={handleAcceptResponse}
+        onStopProgression={() => setIsProgressing(false)}
+        hasUserLoop={userNotes.length > 0}
+        hasAiResponse={aiNotes.length > 0}
+        isBusy={phraseToolState.isBusy}
+        progress={isProgressing ? { step: candidateIndex + 1, steps: aiCandidates.length } : null}
+        message={phraseToolState.message}
+      />
+
+      <Takes
+        takes={takes}
+        isArmed={isRecordingArmed}
+        onToggleArm={() => setIsRecordingArmed(!isRecordingArmed)}
+        isRetroactive={isRetroactive}
+        onToggleRetroactive={setIsRetroactive}
+        onKeepLastLoop={handleKeepLastLoop}
+        canKeepLastLoop={hasLastPass}
+        auditioningId={auditioningTakeId}
+        onAudition={handleAuditionTake}
+        onStopAudition={handleStopAudition}
+        onExport={handleExportTake}
+        onDelete={handleDeleteTake}
+      />
+
       {error && (
         <div style={{ color: "red", marginTop: 10, maxWidth: "600px", margin: "10px auto" }}>
           <p><strong>Error:</strong> {error}</p>
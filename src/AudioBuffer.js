@@ -4,7 +4,9 @@ class AudioBuffer {
     // Calculate buffer size for 8 bars at 40 BPM (our worst case)
     const secondsPerBeat = 60 / 40; // 1.5 seconds per beat at 40 BPM
     const totalBeats = 8 * 4; // 8 bars * 4 beats
-    const totalSeconds = secondsPerBeat * totalBeats;
+    // Plus a second, so a whole loop can still be read back after the input
+    // latency and the next analysis frame
+    const totalSeconds = secondsPerBeat * totalBeats + 1;
     this.bufferSize = Math.ceil(totalSeconds * sampleRate);
     
     // Create the buffer
@@ -36,6 +38,17 @@ class AudioBuffer {
     return result;
   }
 
+  // Copy the most recent samples, oldest first, without moving the read head
+  readLatest(length) {
+    const count = Math.min(length, this.bufferSize);
+    const result = new Float32Array(count);
+    const start = (this.writeHead - count + this.bufferSize) % this.bufferSize;
+    for (let i = 0; i < count; i++) {
+      result[i] = this.buffer[(start + i) % this.bufferSize];
+    }
+    return result;
+  }
+
   // Start recording
   start() {
     this.isRecording = true;
@@ -0,0 +1,136 @@
+import {
+  ANALYSIS_WINDOW_SIZE,
+  ANALYSIS_RATE,
+  SPECTRUM_FFT_SIZE,
+  CAPTURE_PROCESSOR_NAME,
+  loadCaptureWorklet
+} from './CapturePipeline';
+import { analyzeSpectrum } from './PolyphonicAnalyzer';
+
+// Runs an audio file through the capture worklet in an OfflineAudioContext,
+// so it gets the same pitch/energy frames as the microphone (see
+// CapturePipeline.js), only faster than real time. Frame times are seconds
+// from the start of the file. With spectrumOptions every frame is also
+// analysed for polyphonic input: the rendering is suspended at every hop to
+// read the analyser, and only the analysis ({ pitches, chroma, chord }, see
+// analyzeSpectrum) is kept, not the spectrum.
+
+// Silence after the file, so the last note ends
+const TAIL_SILENCE = 0.5;
+// How long to wait for frames still in flight once rendering has finished
+const FRAME_TIMEOUT = 1000; // ms
+
+// Mix the channels down to mono and scale the peak to full scale. The
+// microphone is amplified before the analysis (see CapturePipeline.js);
+// normalized files reach comparable levels.
+export function toNormalizedMono(channels) {
+  const length = channels.length > 0 ? channels[0].length : 0;
+  const samples = new Float32Array(length);
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    let sample = 0;
+    for (let c = 0; c < channels.length; c++) {
+      sample += channels[c][i];
+    }
+    samples[i] = sample / channels.length;
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  if (peak > 0) {
+    for (let i = 0; i < length; i++) {
+      samples[i] /= peak;
+    }
+  }
+  return samples;
+}
+
+// data is the ArrayBuffer of a WAV/MP3/OGG file. Resolves with
+// { frames, samples, sampleRate, duration }; samples is the normalized mono
+// audio. onProgress(fraction) follows the rendering. windowSize and the
+// pitch range are as for CapturePipeline.start; spectrumOptions (null for
+// single notes) as for analyzeSpectrum.
+export async function transcribeAudioFile(data, {
+  sampleRate = 44100,
+  spectrumOptions = null,
+  windowSize = ANALYSIS_WINDOW_SIZE,
+  minFrequency,
+  maxFrequency,
+  onProgress = () => {}
+} = {}) {
+  const decoded = await new OfflineAudioContext(1, 1, sampleRate).decodeAudioData(data);
+  const channels = Array.from({ length: decoded.numberOfChannels }, (_, c) => decoded.getChannelData(c));
+  const samples = toNormalizedMono(channels);
+  const duration = samples.length / sampleRate;
+  console.log(`Decoded audio file: ${duration.toFixed(2)} s, ${decoded.numberOfChannels} channel(s)`);
+
+  const hopSize = Math.round(sampleRate / ANALYSIS_RATE);
+  const renderLength = samples.length + Math.round(TAIL_SILENCE * sampleRate);
+  const frameCount = Math.floor(renderLength / hopSize);
+  const offline = new OfflineAudioContext(1, renderLength, sampleRate);
+  await loadCaptureWorklet(offline);
+
+  const buffer = offline.createBuffer(1, samples.length, sampleRate);
+  buffer.copyToChannel(samples, 0);
+  const source = offline.createBufferSource();
+  source.buffer = buffer;
+  // The worklet only runs while its input is connected to something that
+  // plays, so a constant zero source covers the tail
+  const tail = offline.createConstantSource();
+  tail.offset.value = 0;
+  const worklet = new AudioWorkletNode(offline, CAPTURE_PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: { windowSize, hopSize, minFrequency, maxFrequency }
+  });
+  source.connect(worklet);
+  tail.connect(worklet);
+
+  const analyses = [];
+  if (spectrumOptions) {
+    const analyser = offline.createAnalyser();
+    analyser.fftSize = SPECTRUM_FFT_SIZE;
+    analyser.smoothingTimeConstant = 0;
+    source.connect(analyser);
+    const spectrum = new Float32Array(analyser.frequencyBinCount);
+    // Suspending at the very end of the rendering isn't allowed
+    for (let i = 0; i < frameCount && (i + 1) * hopSize < renderLength; i++) {
+      offline.suspend((i + 1) * hopSize / sampleRate).then(() => {
+        analyser.getFloatFrequencyData(spectrum);
+        analyses[i] = analyzeSpectrum(spectrum, sampleRate, spectrumOptions);
+        offline.resume();
+      });
+    }
+  }
+
+  const frames = [];
+  const allFrames = new Promise(resolve => {
+    worklet.port.onmessage = event => {
+      if (event.data.type !== 'frame') {
+        return;
+      }
+      const { samples: hop, ...frame } = event.data;
+      frames.push(frame);
+      onProgress(Math.min(1, frame.time / duration));
+      if (frames.length >= frameCount) {
+        resolve();
+      }
+    };
+  });
+
+  source.start(0);
+  tail.start(0);
+  await offline.startRendering();
+  await Promise.race([allFrames, new Promise(resolve => setTimeout(resolve, FRAME_TIMEOUT))]);
+  worklet.port.onmessage = null;
+  if (frames.length < frameCount) {
+    console.warn(`Only ${frames.length} of ${frameCount} frames arrived`);
+  }
+
+  return {
+    frames: spectrumOptions
+      ? frames.map((frame, i) => ({ ...frame, ...(analyses[i] || { pitches: [], chroma: new Array(12).fill(0), chord: null }) }))
+      : frames,
+    samples,
+    sampleRate,
+    duration
+  };
+}
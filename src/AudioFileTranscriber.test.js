@@ -0,0 +1,12 @@
+import { toNormalizedMono } from './AudioFileTranscriber';
+
+test('mixes the channels down and scales the peak to full scale', () => {
+  const left = new Float32Array([0.1, -0.2, 0]);
+  const right = new Float32Array([0.1, 0, 0.2]);
+  const samples = toNormalizedMono([left, right]);
+  expect(Array.from(samples).map(sample => Number(sample.toFixed(6)))).toEqual([1, -1, 1]);
+});
+
+test('leaves silence alone', () => {
+  expect(Array.from(toNormalizedMono([new Float32Array(4)]))).toEqual([0, 0, 0, 0]);
+});
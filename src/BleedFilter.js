@@ -0,0 +1,84 @@
+import { pitchClass } from './MusicTheory';
+
+// Rejects the app's own sound when it comes back through the microphone
+// (speakers instead of headphones). The metronome, the drums and the AI's
+// notes are registered as they are scheduled, in audio clock time; with the
+// latency compensation (see LatencyCalibrator.js) captured frames carry the
+// time the sound was played, so the two line up.
+//
+// A detected note is bleed when it matches something the app played:
+// - a pitched output (an AI note) sounding at its onset with the same pitch
+//   class (pitch detection easily lands an octave off)
+// - a percussive output (a click or a drum hit) just before its onset, when
+//   the note is short or has the hit's exact pitch (not any octave: the
+//   user may well play a C on a C2 click)
+// Playing in unison with the AI is rejected as well; there is no telling it
+// apart from the bleed.
+//
+// Events: { time, endTime, pitch (MIDI, or null when unpitched), isPercussive }
+
+export const DEFAULT_BLEED_OPTIONS = {
+  releaseTime: 0.3, // Instruments keep sounding after the note
+  earlyTolerance: 0.03, // Onsets detected just before the event
+  hitWindow: 0.12, // Onsets this long after a hit can be the hit
+  maxHitDuration: 0.15, // Longer unpitched-looking notes aren't a hit
+  retention: 30 // Seconds events are kept for notes that end late
+};
+
+class BleedFilter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_BLEED_OPTIONS, ...options };
+    this.events = [];
+  }
+
+  addEvent(event) {
+    const { retention } = this.options;
+    this.events = this.events.filter(previous => previous.endTime > event.time - retention);
+    this.events.push(event);
+  }
+
+  clear() {
+    this.events = [];
+  }
+
+  matchesPitch(event, pitch) {
+    return event.pitch !== null && pitch !== null && pitchClass(event.pitch) === pitchClass(Math.round(pitch));
+  }
+
+  // The output event a detected note { pitch, startTime, endTime } came
+  // from, or null when the user played it
+  findSource(note) {
+    const { releaseTime, earlyTolerance, hitWindow, maxHitDuration } = this.options;
+    const onset = note.startTime;
+    return this.events.find(event => {
+      if (onset < event.time - earlyTolerance) {
+        return false;
+      }
+      if (event.isPercussive) {
+        return onset <= event.time + hitWindow &&
+          (note.endTime - note.startTime <= maxHitDuration || event.pitch === Math.round(note.pitch));
+      }
+      return onset <= event.endTime + releaseTime && this.matchesPitch(event, note.pitch);
+    }) || null;
+  }
+
+  // Whether a capture frame { time, pitch (MIDI, or null when unpitched) }
+  // can be the app's own sound, e.g. so it doesn't count as the user
+  // playing. A pitched frame just after a hit is only the hit when it has the
+  // hit's pitch: with busy hi-hats nearly every frame follows a hit, and the
+  // user's notes must still get through.
+  isOutputFrame({ time, pitch }) {
+    const { releaseTime, earlyTolerance, hitWindow } = this.options;
+    return this.events.some(event => {
+      if (time < event.time - earlyTolerance) {
+        return false;
+      }
+      if (event.isPercussive) {
+        return time <= event.time + hitWindow && (pitch === null || event.pitch === Math.round(pitch));
+      }
+      return time <= event.endTime + releaseTime && this.matchesPitch(event, pitch);
+    });
+  }
+}
+
+export default BleedFilter;
@@ -0,0 +1,56 @@
+import BleedFilter from './BleedFilter';
+
+const note = (pitch, startTime, endTime) => ({ pitch, startTime, endTime, velocity: 80 });
+
+test('rejects AI notes picked up by the microphone, also an octave off', () => {
+  const filter = new BleedFilter();
+  filter.addEvent({ time: 10, endTime: 10.5, pitch: 64, isPercussive: false });
+
+  expect(filter.findSource(note(64, 10.02, 10.5))).not.toBeNull();
+  expect(filter.findSource(note(52, 10.3, 10.7))).not.toBeNull();
+  expect(filter.findSource(note(67, 10.02, 10.5))).toBeNull();
+  expect(filter.findSource(note(64, 11, 11.5))).toBeNull();
+});
+
+test('rejects metronome clicks but keeps notes played on the beat', () => {
+  const filter = new BleedFilter();
+  filter.addEvent({ time: 5, endTime: 5.1, pitch: 36, isPercussive: true });
+
+  // The click itself, detected at some pitch
+  expect(filter.findSource(note(59, 5.01, 5.08))).not.toBeNull();
+  expect(filter.findSource(note(36, 5.02, 5.6))).not.toBeNull();
+  // The user playing on the beat
+  expect(filter.findSource(note(62, 5.02, 5.6))).toBeNull();
+  expect(filter.findSource(note(48, 5.02, 5.6))).toBeNull();
+});
+
+test('tells output frames from the user playing', () => {
+  const filter = new BleedFilter();
+  filter.addEvent({ time: 2, endTime: 3, pitch: 69, isPercussive: false });
+  filter.addEvent({ time: 4, endTime: 4.1, pitch: null, isPercussive: true });
+
+  expect(filter.isOutputFrame({ time: 2.5, pitch: 69.2 })).toBe(true);
+  expect(filter.isOutputFrame({ time: 2.5, pitch: 72 })).toBe(false);
+  expect(filter.isOutputFrame({ time: 4.05, pitch: null })).toBe(true);
+  expect(filter.isOutputFrame({ time: 4.5, pitch: null })).toBe(false);
+});
+
+test('keeps pitched notes played on busy hi-hat steps', () => {
+  const filter = new BleedFilter();
+  for (let step = 0; step < 8; step++) {
+    filter.addEvent({ time: step * 0.125, endTime: step * 0.125 + 0.05, pitch: 42, isPercussive: true });
+  }
+
+  // The hats themselves: noise, or their own pitch
+  expect(filter.isOutputFrame({ time: 0.26, pitch: null })).toBe(true);
+  expect(filter.isOutputFrame({ time: 0.26, pitch: 42.3 })).toBe(true);
+  // The user's E held across the hats
+  [0.26, 0.4, 0.55].forEach(time => expect(filter.isOutputFrame({ time, pitch: 64.1 })).toBe(false));
+});
+
+test('forgets old events', () => {
+  const filter = new BleedFilter({ retention: 10 });
+  filter.addEvent({ time: 0, endTime: 0.5, pitch: 60, isPercussive: false });
+  filter.addEvent({ time: 20, endTime: 20.5, pitch: 62, isPercussive: false });
+  expect(filter.events).toHaveLength(1);
+});
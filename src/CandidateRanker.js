@@ -0,0 +1,103 @@
+import { MAJOR_SCALE, detectKey, pitchClass } from './MusicTheory';
+
+// Scores generated responses against the user's phrase so the best of several
+// candidates can be shown first. Every criterion is scored from 0 to 1:
+//   keyFit     - share of the response's sounding time in the phrase's key
+//   range      - share of response notes near the register of the phrase
+//   rhythm     - how closely onsets within the beat and note density match
+//   repetition - low when the response keeps hammering the same pitch
+
+export const SCORE_WEIGHTS = {
+  keyFit: 0.35,
+  range: 0.2,
+  rhythm: 0.3,
+  repetition: 0.15
+};
+
+// Notes this far outside the phrase's range still count as in range
+const RANGE_MARGIN = 7;
+
+function noteLength(note) {
+  return Math.max(1, note.endPosition - note.startPosition);
+}
+
+function scoreKeyFit(candidate, key) {
+  const inKey = new Set(MAJOR_SCALE.map(interval => (key.tonic + interval) % 12));
+  const total = candidate.reduce((sum, note) => sum + noteLength(note), 0);
+  const fitting = candidate
+    .filter(note => inKey.has(pitchClass(note.pitch)))
+    .reduce((sum, note) => sum + noteLength(note), 0);
+  return fitting / total;
+}
+
+function scoreRange(candidate, phrase) {
+  const pitches = phrase.map(note => note.pitch);
+  const min = Math.min(...pitches) - RANGE_MARGIN;
+  const max = Math.max(...pitches) + RANGE_MARGIN;
+  return candidate.filter(note => note.pitch >= min && note.pitch <= max).length / candidate.length;
+}
+
+// Onsets per position within the beat, normalized
+function onsetProfile(notes, gridDivision) {
+  const profile = new Array(gridDivision).fill(0);
+  notes.forEach(note => {
+    profile[((note.startPosition % gridDivision) + gridDivision) % gridDivision] += 1;
+  });
+  return profile;
+}
+
+function cosineSimilarity(a, b) {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0)) * Math.sqrt(b.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? 0 : dot / norm;
+}
+
+function scoreRhythm(candidate, phrase, context) {
+  const placement = cosineSimilarity(
+    onsetProfile(candidate, context.gridDivision),
+    onsetProfile(phrase, context.gridDivision)
+  );
+  const density = Math.min(candidate.length, phrase.length) / Math.max(candidate.length, phrase.length);
+  return (placement + density) / 2;
+}
+
+function scoreRepetition(candidate) {
+  if (candidate.length < 2) {
+    return 1;
+  }
+  const sorted = [...candidate].sort((a, b) => a.startPosition - b.startPosition);
+  let repeats = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].pitch === sorted[i - 1].pitch) {
+      repeats++;
+    }
+  }
+  return 1 - repeats / (sorted.length - 1);
+}
+
+// Score one candidate (notes in grid positions) against the phrase.
+// Returns the per-criterion scores and their weighted total.
+export function scoreCandidate(candidate, phrase, context) {
+  if (candidate.length === 0 || phrase.length === 0) {
+    return { keyFit: 0, range: 0, rhythm: 0, repetition: 0, total: 0 };
+  }
+
+  const scores = {
+    keyFit: scoreKeyFit(candidate, detectKey(phrase)),
+    range: scoreRange(candidate, phrase),
+    rhythm: scoreRhythm(candidate, phrase, context),
+    repetition: scoreRepetition(candidate)
+  };
+  const total = Object.keys(SCORE_WEIGHTS)
+    .reduce((sum, criterion) => sum + SCORE_WEIGHTS[criterion] * scores[criterion], 0);
+  return { ...scores, total };
+}
+
+// Attach a score to every candidate ({ notes, ... }) and sort best first.
+// Empty candidates are dropped.
+export function rankCandidates(candidates, phrase, context) {
+  return candidates
+    .filter(candidate => candidate.notes.length > 0)
+    .map(candidate => ({ ...candidate, score: scoreCandidate(candidate.notes, phrase, context) }))
+    .sort((a, b) => b.score.total - a.score.total);
+}
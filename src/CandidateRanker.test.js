@@ -0,0 +1,26 @@
+import { rankCandidates, scoreCandidate } from './CandidateRanker';
+import { createSessionContext } from './SessionContext';
+
+const context = createSessionContext({ bpm: 120, numberOfBars: 1, gridDivision: 4 });
+
+const note = (pitch, startPosition, length = 2) => ({ pitch, startPosition, endPosition: startPosition + length });
+
+// C major phrase on the beats
+const phrase = [note(60, 0), note(64, 4), note(67, 8), note(65, 12)];
+
+test('prefers in-key answers in the same register and rhythm', () => {
+  const fitting = [note(62, 0), note(65, 4), note(64, 8), note(60, 12)];
+  const clashing = [note(85, 1), note(87, 3), note(85, 5), note(87, 7), note(85, 9), note(87, 11)];
+  const ranked = rankCandidates([{ notes: clashing }, { notes: fitting }], phrase, context);
+  expect(ranked[0].notes).toBe(fitting);
+  expect(ranked[0].score.total).toBeGreaterThan(ranked[1].score.total);
+});
+
+test('penalizes hammering a single pitch', () => {
+  const repeated = [note(60, 0), note(60, 4), note(60, 8), note(60, 12)];
+  expect(scoreCandidate(repeated, phrase, context).repetition).toBe(0);
+});
+
+test('drops empty candidates', () => {
+  expect(rankCandidates([{ notes: [] }], phrase, context)).toEqual([]);
+});
@@ -0,0 +1,169 @@
+import AudioBuffer from './AudioBuffer';
+
+// Microphone capture on the audio thread. The input runs through a gain
+// stage into the capture worklet (public/worklets/capture-processor.js),
+// which streams every sample back into an AudioBuffer ring and posts a
+// pitch/energy frame every hop:
+//   { time, energy, pitch, clarity }
+// time is in audio clock time (context.currentTime), pitch in Hz (0 when
+// there is none). Two AnalyserNodes sit on the side: one for the spectrum
+// display and a finer one for polyphonic analysis (see PolyphonicAnalyzer.js).
+
+const WORKLET_URL = `${process.env.PUBLIC_URL}/worklets/capture-processor.js`;
+export const CAPTURE_PROCESSOR_NAME = 'capture-processor';
+
+// Defaults; instrument profiles can change them (see InstrumentProfiles.js)
+export const ANALYSIS_WINDOW_SIZE = 2048;
+export const ANALYSIS_RATE = 100; // Frames per second
+// About 5 Hz per bin at 44.1 kHz, enough to tell semitones apart down to E2
+export const SPECTRUM_FFT_SIZE = 8192;
+
+export const INPUT_GAIN = 20;
+
+// addModule is only needed once per context. Tone's own addAudioWorkletModule
+// keeps a single module per context, so the raw worklet is used instead.
+const loadedContexts = new WeakMap();
+
+export function loadCaptureWorklet(rawContext) {
+  if (!loadedContexts.has(rawContext)) {
+    const promise = rawContext.audioWorklet.addModule(WORKLET_URL).catch(error => {
+      loadedContexts.delete(rawContext);
+      throw error;
+    });
+    loadedContexts.set(rawContext, promise);
+  }
+  return loadedContexts.get(rawContext);
+}
+
+class CapturePipeline {
+  // context is a Tone.js context
+  constructor(context, { onFrame = () => {} } = {}) {
+    this.context = context;
+    this.onFrame = onFrame;
+    this.sampleRate = context.sampleRate;
+    this.hopSize = Math.round(this.sampleRate / ANALYSIS_RATE);
+    this.ringBuffer = new AudioBuffer(this.sampleRate);
+    this.latestFrame = null;
+    this.nodes = null;
+  }
+
+  // The analysis settings: { gain, windowSize, minFrequency, maxFrequency }
+  // (the pitch range defaults to the worklet's)
+  async start(stream, { gain: inputGain = INPUT_GAIN, windowSize = ANALYSIS_WINDOW_SIZE, minFrequency, maxFrequency } = {}) {
+    if (this.nodes) {
+      this.stop();
+    }
+    if (!this.context.rawContext.audioWorklet) {
+      throw new Error('AudioWorklet is not supported in this browser (a secure context is required)');
+    }
+    await loadCaptureWorklet(this.context.rawContext);
+    console.log('Capture worklet loaded');
+
+    const source = this.context.createMediaStreamSource(stream);
+    const gain = this.context.createGain();
+    gain.gain.value = inputGain;
+    const analyser = this.context.createAnalyser();
+    analyser.fftSize = ANALYSIS_WINDOW_SIZE;
+    analyser.smoothingTimeConstant = 0.8;
+    const spectrumAnalyser = this.context.createAnalyser();
+    spectrumAnalyser.fftSize = SPECTRUM_FFT_SIZE;
+    spectrumAnalyser.smoothingTimeConstant = 0;
+    const worklet = this.context.createAudioWorkletNode(CAPTURE_PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { windowSize, hopSize: this.hopSize, minFrequency, maxFrequency }
+    });
+    worklet.port.onmessage = event => this.handleMessage(event.data);
+
+    source.connect(gain);
+    gain.connect(analyser);
+    gain.connect(spectrumAnalyser);
+    gain.connect(worklet);
+    this.nodes = { source, gain, analyser, spectrumAnalyser, worklet };
+
+    this.ringBuffer.clear();
+    this.ringBuffer.start();
+    console.log(`Capture started: ${this.sampleRate} Hz, window ${windowSize}, hop ${this.hopSize} samples, gain ${inputGain}`);
+  }
+
+  handleMessage(message) {
+    if (message.type !== 'frame') {
+      return;
+    }
+    const { samples, ...frame } = message;
+    this.ringBuffer.write(samples);
+    this.latestFrame = frame;
+    try {
+      this.onFrame(frame);
+    } catch (error) {
+      console.error('Error handling capture frame:', error);
+    }
+  }
+
+  stop() {
+    if (!this.nodes) {
+      return;
+    }
+    const { source, gain, analyser, spectrumAnalyser, worklet } = this.nodes;
+    worklet.port.postMessage({ type: 'stop' });
+    worklet.port.onmessage = null;
+    source.disconnect();
+    gain.disconnect();
+    analyser.disconnect();
+    spectrumAnalyser.disconnect();
+    this.nodes = null;
+    this.ringBuffer.stop();
+    this.latestFrame = null;
+    console.log('Capture stopped');
+  }
+
+  isRunning() {
+    return this.nodes !== null;
+  }
+
+  getLatestFrame() {
+    return this.latestFrame;
+  }
+
+  // The last count input samples; the last one was captured at
+  // getLatestFrame().time
+  getRecentSamples(count) {
+    return this.ringBuffer.readLatest(count);
+  }
+
+  // The input between two audio clock times, or null when it is not (or no
+  // longer) in the ring buffer
+  getSamplesBetween(startTime, endTime) {
+    if (!this.latestFrame) {
+      return null;
+    }
+    const available = Math.round((this.latestFrame.time - startTime) * this.sampleRate);
+    const length = Math.round((endTime - startTime) * this.sampleRate);
+    if (startTime < 0 || length <= 0 || available < length || available > this.ringBuffer.getSize()) {
+      return null;
+    }
+    return this.ringBuffer.readLatest(available).slice(0, length);
+  }
+
+  // Byte spectrum of the input for display
+  getFrequencyData() {
+    if (!this.nodes) {
+      return new Uint8Array(0);
+    }
+    const data = new Uint8Array(this.nodes.analyser.frequencyBinCount);
+    this.nodes.analyser.getByteFrequencyData(data);
+    return data;
+  }
+
+  // Spectrum of the input in dB per bin, for polyphonic analysis
+  getSpectrum() {
+    if (!this.nodes) {
+      return new Float32Array(0);
+    }
+    const data = new Float32Array(this.nodes.spectrumAnalyser.frequencyBinCount);
+    this.nodes.spectrumAnalyser.getFloatFrequencyData(data);
+    return data;
+  }
+}
+
+export default CapturePipeline;
@@ -0,0 +1,63 @@
+import { CHORD_QUALITIES, chordSymbol, pitchClass } from './MusicTheory';
+import { getLoopLength, getPositionsPerBar, toLoopPosition } from './SessionContext';
+
+// Magenta's chord symbol for "no chord"
+export const NO_CHORD = 'N.C.';
+
+// Find the chord that best explains a 12-bin pitch-class profile.
+// Chord tones add their weight, other pitch classes count against the chord,
+// and the root gets a small bonus so C-E-G reads as C rather than Em(#5).
+export function recognizeChord(chroma) {
+  const total = chroma.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  let best = null;
+  for (let root = 0; root < 12; root++) {
+    for (const quality of CHORD_QUALITIES) {
+      const chordTones = quality.intervals.map(interval => (root + interval) % 12);
+      let score = 0;
+      for (let pc = 0; pc < 12; pc++) {
+        score += chordTones.includes(pc) ? chroma[pc] : -chroma[pc];
+      }
+      // Prefer simpler chords when a seventh isn't actually played
+      score -= 0.05 * total * (quality.intervals.length - 3);
+      score += 0.1 * chroma[root];
+      if (!best || score > best.score) {
+        best = { symbol: chordSymbol(root, quality), root, intervals: quality.intervals, score };
+      }
+    }
+  }
+  // Report the score relative to the total energy so callers can threshold it
+  return { ...best, score: best.score / total };
+}
+
+// Infer one chord symbol per bar of the loop from the user's notes.
+// Notes are weighted by how long they sound in the bar, and notes on the
+// downbeat count double. Bars without notes repeat the previous chord.
+export function inferChordProgression(notes, context) {
+  const positionsPerBar = getPositionsPerBar(context);
+  const loopLength = getLoopLength(context);
+  const profiles = Array.from({ length: context.numberOfBars }, () => new Array(12).fill(0));
+
+  notes.forEach(note => {
+    const start = toLoopPosition(note.startPosition, context);
+    const end = Math.min(start + Math.max(1, note.endPosition - note.startPosition), loopLength);
+    for (let position = start; position < end; position++) {
+      const bar = Math.floor(position / positionsPerBar);
+      const weight = position % positionsPerBar === 0 ? 2 : 1;
+      profiles[bar][pitchClass(note.pitch)] += weight;
+    }
+  });
+
+  const progression = [];
+  profiles.forEach((profile, bar) => {
+    const chord = recognizeChord(profile);
+    progression.push(chord ? chord.symbol : (bar > 0 ? progression[bar - 1] : NO_CHORD));
+  });
+
+  // Fill leading empty bars with the first recognized chord
+  const firstChord = progression.find(symbol => symbol !== NO_CHORD);
+  return progression.map(symbol => (symbol === NO_CHORD && firstChord ? firstChord : symbol));
+}
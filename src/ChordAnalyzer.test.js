@@ -0,0 +1,34 @@
+import { NO_CHORD, inferChordProgression, recognizeChord } from './ChordAnalyzer';
+import { createSessionContext } from './SessionContext';
+
+const context = createSessionContext({ bpm: 120, numberOfBars: 2, gridDivision: 4 });
+
+function chroma(pitchClasses) {
+  const profile = new Array(12).fill(0);
+  pitchClasses.forEach(pc => { profile[pc] += 1; });
+  return profile;
+}
+
+test('recognizes triads and seventh chords', () => {
+  expect(recognizeChord(chroma([0, 4, 7])).symbol).toBe('C');
+  expect(recognizeChord(chroma([9, 0, 4])).symbol).toBe('Am');
+  expect(recognizeChord(chroma([7, 11, 2, 5])).symbol).toBe('G7');
+});
+
+test('returns null for silence', () => {
+  expect(recognizeChord(new Array(12).fill(0))).toBeNull();
+});
+
+test('infers one chord per bar and carries chords into empty bars', () => {
+  // Bar 1: arpeggiated F major, bar 2: silence (16 positions per bar)
+  const notes = [
+    { pitch: 65, startPosition: 0, endPosition: 4 },
+    { pitch: 69, startPosition: 4, endPosition: 8 },
+    { pitch: 72, startPosition: 8, endPosition: 16 }
+  ];
+  expect(inferChordProgression(notes, context)).toEqual(['F', 'F']);
+});
+
+test('returns no chord for an empty loop', () => {
+  expect(inferChordProgression([], context)).toEqual([NO_CHORD, NO_CHORD]);
+});
@@ -0,0 +1,107 @@
+import { getLoopLength, getPositionsPerBar, toLoopPosition } from './SessionContext';
+
+// General MIDI percussion (channel 10) pitches, in the order of the
+// DrumsRNN drum classes. The drum grid draws one lane per entry.
+export const DRUM_LANES = [
+  { pitch: 36, name: 'Kick' },
+  { pitch: 38, name: 'Snare' },
+  { pitch: 42, name: 'Closed Hat' },
+  { pitch: 46, name: 'Open Hat' },
+  { pitch: 45, name: 'Low Tom' },
+  { pitch: 48, name: 'Mid Tom' },
+  { pitch: 50, name: 'High Tom' },
+  { pitch: 49, name: 'Crash' },
+  { pitch: 51, name: 'Ride' }
+];
+
+export const DRUM_PITCHES = {
+  KICK: 36,
+  SNARE: 38,
+  CLOSED_HAT: 42,
+  OPEN_HAT: 46,
+  CRASH: 49
+};
+
+// More than this many user onsets per beat switches the hats to 16ths
+const BUSY_ONSETS_PER_BEAT = 2;
+
+const ACCENT_VELOCITY = 110;
+const NORMAL_VELOCITY = 90;
+const GHOST_VELOCITY = 60;
+
+function hit(pitch, startPosition, velocity) {
+  return { pitch, startPosition, endPosition: startPosition + 1, velocity };
+}
+
+// Builds a kit pattern for the loop from the rhythm of the user's notes:
+// kick on the strong beats and on the user's 8th-note onsets, snare on the
+// backbeats, hats whose density follows how busy the user plays and a crash
+// on bar 1. Beats the user plays on are accented.
+export function generateDrumPattern(notes, context) {
+  if (notes.length === 0) {
+    return [];
+  }
+
+  const beatsPerBar = context.timeSignature.numerator;
+  const positionsPerBeat = context.gridDivision;
+  const positionsPerBar = getPositionsPerBar(context);
+  const loopLength = getLoopLength(context);
+  const positionsPerEighth = Math.max(1, Math.round(positionsPerBeat / 2));
+  const positionsPerSixteenth = Math.max(1, Math.round(positionsPerBeat / 4));
+
+  const onsets = new Set(notes.map(note => toLoopPosition(note.startPosition, context)));
+  const onsetsPerBeat = onsets.size / (context.numberOfBars * beatsPerBar);
+  const hatStep = onsetsPerBeat > BUSY_ONSETS_PER_BEAT ? positionsPerSixteenth : positionsPerEighth;
+
+  // Backbeats: 2 and 4 in even meters, the last beat otherwise
+  const snareBeats = beatsPerBar % 2 === 0
+    ? Array.from({ length: beatsPerBar / 2 }, (_, i) => i * 2 + 1)
+    : [beatsPerBar - 1];
+  const kickBeats = beatsPerBar % 2 === 0
+    ? Array.from({ length: beatsPerBar / 2 }, (_, i) => i * 2)
+    : [0];
+
+  const pattern = [];
+  const isOnset = position => onsets.has(position);
+
+  for (let bar = 0; bar < context.numberOfBars; bar++) {
+    const barStart = bar * positionsPerBar;
+
+    kickBeats.forEach(beat => {
+      const position = barStart + beat * positionsPerBeat;
+      pattern.push(hit(DRUM_PITCHES.KICK, position, isOnset(position) ? ACCENT_VELOCITY : NORMAL_VELOCITY));
+    });
+
+    snareBeats.forEach(beat => {
+      const position = barStart + beat * positionsPerBeat;
+      pattern.push(hit(DRUM_PITCHES.SNARE, position, isOnset(position) ? ACCENT_VELOCITY : NORMAL_VELOCITY));
+    });
+
+    for (let offset = 0; offset < positionsPerBar; offset += hatStep) {
+      const position = barStart + offset;
+      const isLastEighth = bar === context.numberOfBars - 1 && offset === positionsPerBar - positionsPerEighth;
+      const velocity = offset % positionsPerBeat === 0 ? NORMAL_VELOCITY : GHOST_VELOCITY;
+      pattern.push(hit(isLastEighth ? DRUM_PITCHES.OPEN_HAT : DRUM_PITCHES.CLOSED_HAT, position, velocity));
+    }
+  }
+
+  // Extra kicks that follow the user's syncopations on the 8th-note grid
+  onsets.forEach(position => {
+    const inBeat = position % positionsPerBeat;
+    const beat = Math.floor((position % positionsPerBar) / positionsPerBeat);
+    if (inBeat !== 0 && inBeat % positionsPerEighth === 0 && !snareBeats.includes(beat)) {
+      pattern.push(hit(DRUM_PITCHES.KICK, position, NORMAL_VELOCITY));
+    }
+  });
+
+  pattern.push(hit(DRUM_PITCHES.CRASH, 0, ACCENT_VELOCITY));
+
+  return pattern
+    .filter(note => note.startPosition < loopLength)
+    .map(note => ({
+      ...note,
+      startPosition: (note.startPosition + context.loopStartOffset) % loopLength,
+      endPosition: (note.startPosition + context.loopStartOffset) % loopLength + 1
+    }))
+    .sort((a, b) => a.startPosition - b.startPosition);
+}
@@ -0,0 +1,54 @@
+import { DRUM_PITCHES, generateDrumPattern } from './DrumPatternGenerator';
+import { createSessionContext } from './SessionContext';
+
+const note = startPosition => ({ pitch: 60, startPosition, endPosition: startPosition + 1, velocity: 100 });
+
+// One bar of 16th-note positions
+const context = (numerator, loopStartOffset = 0) => createSessionContext({
+  timeSignature: { numerator, denominator: 4 },
+  numberOfBars: 1,
+  gridDivision: 4,
+  loopStartOffset
+});
+
+const positionsOf = (pattern, pitch) => pattern.filter(hit => hit.pitch === pitch).map(hit => hit.startPosition);
+const hatPositions = pattern => pattern
+  .filter(hit => hit.pitch === DRUM_PITCHES.CLOSED_HAT || hit.pitch === DRUM_PITCHES.OPEN_HAT)
+  .map(hit => hit.startPosition);
+
+test('plays nothing without notes', () => {
+  expect(generateDrumPattern([], context(4))).toEqual([]);
+});
+
+test('puts the backbeat on 2 and 4 in 4/4 and on the last beat in 3/4', () => {
+  const common = generateDrumPattern([note(0)], context(4));
+  expect(positionsOf(common, DRUM_PITCHES.KICK)).toEqual([0, 8]);
+  expect(positionsOf(common, DRUM_PITCHES.SNARE)).toEqual([4, 12]);
+
+  const waltz = generateDrumPattern([note(0)], context(3));
+  expect(positionsOf(waltz, DRUM_PITCHES.KICK)).toEqual([0]);
+  expect(positionsOf(waltz, DRUM_PITCHES.SNARE)).toEqual([8]);
+});
+
+test('plays 8th-note hats for sparse playing and 16ths for busy playing', () => {
+  const sparse = generateDrumPattern([note(0), note(4)], context(4));
+  expect(hatPositions(sparse)).toEqual([0, 2, 4, 6, 8, 10, 12, 14]);
+
+  const busy = generateDrumPattern(Array.from({ length: 16 }, (_, i) => note(i)), context(4));
+  expect(hatPositions(busy)).toEqual(Array.from({ length: 16 }, (_, i) => i));
+});
+
+test('follows offbeat 8th-note onsets with the kick, but not on the backbeat', () => {
+  const pattern = generateDrumPattern([note(0), note(2), note(6)], context(4));
+  expect(positionsOf(pattern, DRUM_PITCHES.KICK)).toEqual([0, 2, 8]);
+});
+
+test('wraps the pattern to a loop that starts later on the grid', () => {
+  const pattern = generateDrumPattern([note(4)], context(4, 4));
+  expect(positionsOf(pattern, DRUM_PITCHES.KICK)).toEqual([4, 12]);
+  expect(positionsOf(pattern, DRUM_PITCHES.SNARE)).toEqual([0, 8]);
+  expect(positionsOf(pattern, DRUM_PITCHES.CRASH)).toEqual([4]);
+  // The accent follows the user's onset on bar 1
+  expect(pattern.find(hit => hit.pitch === DRUM_PITCHES.KICK && hit.startPosition === 4).velocity)
+    .toBeGreaterThan(pattern.find(hit => hit.pitch === DRUM_PITCHES.KICK && hit.startPosition === 12).velocity);
+});
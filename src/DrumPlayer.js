@@ -0,0 +1,107 @@
+import * as Tone from 'tone';
+import { DRUM_PITCHES } from './DrumPatternGenerator';
+
+// Plays the AI drum pattern through Tone.js. The pattern is scheduled as a
+// looping Part on the Transport so it stays locked to the metronome.
+class DrumPlayer {
+  // onHit({ time, endTime, pitch, isPercussive }) is called for every hit as
+  // it is scheduled; pitch is the MIDI pitch heard, or null for noise
+  constructor({ onHit = () => {} } = {}) {
+    this.onHit = onHit;
+    this.part = null;
+    this.output = new Tone.Volume(-6).toDestination();
+    this.kick = new Tone.MembraneSynth().connect(this.output);
+    this.tom = new Tone.MembraneSynth({ pitchDecay: 0.08, octaves: 4 }).connect(this.output);
+    this.snare = new Tone.NoiseSynth({
+      noise: { type: 'white' },
+      envelope: { attack: 0.001, decay: 0.2, sustain: 0 }
+    }).connect(this.output);
+    this.hat = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 0.05, release: 0.01 },
+      harmonicity: 5.1,
+      modulationIndex: 32,
+      resonance: 4000,
+      octaves: 1.5
+    }).connect(this.output);
+    this.cymbal = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 1.2, release: 0.5 }
+    }).connect(this.output);
+    this.hat.volume.value = -12;
+    this.cymbal.volume.value = -18;
+  }
+
+  trigger(pitch, time, velocity) {
+    let heard = null; // The pitch that sounds, for onHit
+    let duration;
+    switch (pitch) {
+      case DRUM_PITCHES.KICK:
+        duration = '8n';
+        heard = 24; // C1
+        this.kick.triggerAttackRelease('C1', duration, time, velocity);
+        break;
+      case DRUM_PITCHES.SNARE:
+        duration = '16n';
+        this.snare.triggerAttackRelease(duration, time, velocity);
+        break;
+      case DRUM_PITCHES.CLOSED_HAT:
+        duration = '32n';
+        this.hat.triggerAttackRelease('C4', duration, time, velocity);
+        break;
+      case DRUM_PITCHES.OPEN_HAT:
+        duration = '8n';
+        this.hat.triggerAttackRelease('C4', duration, time, velocity);
+        break;
+      case 45:
+      case 48:
+      case 50:
+        // Low, mid and high tom
+        duration = '8n';
+        heard = pitch - 12;
+        this.tom.triggerAttackRelease(Tone.Frequency(heard, 'midi').toNote(), duration, time, velocity);
+        break;
+      default:
+        // Crash, ride and anything else
+        duration = '2n';
+        this.cymbal.triggerAttackRelease('C4', duration, time, velocity * 0.6);
+    }
+    this.onHit({ time, endTime: time + Tone.Time(duration).toSeconds(), pitch: heard, isPercussive: true });
+  }
+
+  // Replace the scheduled pattern. drumNotes are in grid positions for the
+  // session described by context (see SessionContext.js).
+  setPattern(drumNotes, context) {
+    this.clear();
+    if (drumNotes.length === 0) {
+      return;
+    }
+
+    const ticksPerPosition =
+      (Tone.Transport.PPQ * (4 / context.timeSignature.denominator)) / context.gridDivision;
+    const events = drumNotes.map(note => ({
+      time: `${Math.round(note.startPosition * ticksPerPosition)}i`,
+      pitch: note.pitch,
+      velocity: (note.velocity || 100) / 127
+    }));
+
+    this.part = new Tone.Part((time, event) => {
+      this.trigger(event.pitch, time, event.velocity);
+    }, events);
+    this.part.loop = true;
+    this.part.loopEnd = `${context.numberOfBars}m`;
+    this.part.start(0);
+  }
+
+  clear() {
+    if (this.part) {
+      this.part.dispose();
+      this.part = null;
+    }
+  }
+
+  dispose() {
+    this.clear();
+    [this.kick, this.tom, this.snare, this.hat, this.cymbal, this.output].forEach(node => node.dispose());
+  }
+}
+
+export default DrumPlayer;
@@ -0,0 +1,98 @@
+import { detectKey, fromScaleIndex, toScaleIndex } from './MusicTheory';
+
+// Builds a second voice that sings along with the user's melody instead of
+// answering it: a parallel line a diatonic third or sixth away in the
+// detected key, or a simple counter-melody. The harmony keeps the rhythm of
+// the melody, so notes come out at the same grid positions as they went in.
+
+export const HARMONY_VOICES = {
+  OFF: 'off',
+  THIRD_ABOVE: 'third-above',
+  THIRD_BELOW: 'third-below',
+  SIXTH_ABOVE: 'sixth-above',
+  SIXTH_BELOW: 'sixth-below',
+  COUNTER_MELODY: 'counter-melody'
+};
+
+// Distance of the parallel voices in scale steps
+const PARALLEL_STEPS = {
+  [HARMONY_VOICES.THIRD_ABOVE]: 2,
+  [HARMONY_VOICES.THIRD_BELOW]: -2,
+  [HARMONY_VOICES.SIXTH_ABOVE]: 5,
+  [HARMONY_VOICES.SIXTH_BELOW]: -5
+};
+
+// Consonances below the melody the counter-melody picks from, in scale
+// steps: third, fifth, sixth and octave
+const COUNTER_STEPS = [-2, -4, -5, -7];
+const PERFECT_STEPS = [-4, -7];
+
+const HARMONY_VELOCITY_SCALE = 0.8;
+
+function direction(from, to) {
+  return Math.sign(to - from);
+}
+
+// Choose the counter-melody note under each melody note: contrary motion is
+// preferred, parallel fifths and octaves are avoided and leaps are kept small
+function buildCounterMelody(melody, tonic) {
+  const line = [];
+  melody.forEach((note, index) => {
+    const melodyIndex = toScaleIndex(note.pitch, tonic);
+    const previous = line[index - 1];
+    const previousMelody = melody[index - 1];
+
+    let best = null;
+    COUNTER_STEPS.forEach(steps => {
+      const pitch = fromScaleIndex(melodyIndex + steps, tonic);
+      let cost = PERFECT_STEPS.includes(steps) ? 1 : 0;
+      if (previous) {
+        const melodyMotion = direction(previousMelody.pitch, note.pitch);
+        const counterMotion = direction(previous.pitch, pitch);
+        if (melodyMotion !== 0 && counterMotion === melodyMotion) {
+          cost += 2;
+        }
+        if (PERFECT_STEPS.includes(steps) && steps === previous.steps && previousMelody.pitch !== note.pitch) {
+          cost += 5;
+        }
+        cost += Math.abs(pitch - previous.pitch) / 2;
+      }
+      if (!best || cost < best.cost) {
+        best = { pitch, steps, cost };
+      }
+    });
+    line.push(best);
+  });
+  return line.map(choice => choice.pitch);
+}
+
+// Harmony for the user's notes (grid positions). Returns notes at the same
+// positions, or [] when the voice is off.
+export function generateHarmony(notes, voice, { range = { min: 21, max: 108 } } = {}) {
+  if (voice === HARMONY_VOICES.OFF || notes.length === 0) {
+    return [];
+  }
+
+  const { tonic } = detectKey(notes);
+  const melody = [...notes].sort((a, b) => a.startPosition - b.startPosition || b.pitch - a.pitch);
+
+  let pitches;
+  if (voice === HARMONY_VOICES.COUNTER_MELODY) {
+    pitches = buildCounterMelody(melody, tonic);
+  } else if (PARALLEL_STEPS[voice] !== undefined) {
+    pitches = melody.map(note => fromScaleIndex(toScaleIndex(note.pitch, tonic) + PARALLEL_STEPS[voice], tonic));
+  } else {
+    throw new Error(`Unknown harmony voice: ${voice}`);
+  }
+
+  return melody
+    .map((note, index) => ({
+      pitch: pitches[index],
+      startPosition: note.startPosition,
+      endPosition: note.endPosition,
+      startTime: note.startTime,
+      endTime: note.endTime,
+      velocity: Math.round((note.velocity || 100) * HARMONY_VELOCITY_SCALE)
+    }))
+    .filter(note => note.pitch >= range.min && note.pitch <= range.max);
+}
@@ -0,0 +1,29 @@
+import { HARMONY_VOICES, generateHarmony } from './HarmonyGenerator';
+
+const note = (pitch, startPosition) => ({ pitch, startPosition, endPosition: startPosition + 4, velocity: 100 });
+
+// C major scale fragment C4 D4 E4 F4
+const melody = [note(60, 0), note(62, 4), note(64, 8), note(65, 12)];
+
+test('adds diatonic thirds above the melody at the same positions', () => {
+  const harmony = generateHarmony(melody, HARMONY_VOICES.THIRD_ABOVE);
+  expect(harmony.map(n => n.pitch)).toEqual([64, 65, 67, 69]);
+  expect(harmony.map(n => n.startPosition)).toEqual([0, 4, 8, 12]);
+});
+
+test('adds diatonic sixths below the melody', () => {
+  const harmony = generateHarmony(melody, HARMONY_VOICES.SIXTH_BELOW);
+  expect(harmony.map(n => n.pitch)).toEqual([52, 53, 55, 57]);
+});
+
+test('counter-melody stays below and never follows the melody upwards', () => {
+  const harmony = generateHarmony(melody, HARMONY_VOICES.COUNTER_MELODY);
+  harmony.forEach((n, i) => expect(n.pitch).toBeLessThan(melody[i].pitch));
+  for (let i = 1; i < harmony.length; i++) {
+    expect(harmony[i].pitch).toBeLessThanOrEqual(harmony[i - 1].pitch);
+  }
+});
+
+test('returns nothing when the voice is off', () => {
+  expect(generateHarmony(melody, HARMONY_VOICES.OFF)).toEqual([]);
+});
@@ -0,0 +1,125 @@
+import { ANALYSIS_WINDOW_SIZE, INPUT_GAIN } from './CapturePipeline';
+
+// Detection settings per instrument. One set of numbers can't suit a bass
+// and a whistle alike: a bass needs a longer analysis window to see its low
+// periods (below ~80 Hz a 2048-sample window holds too few of them), a flute
+// or a whistle is pure and high and answers faster with a short one.
+//
+// Settings:
+//   minFrequency, maxFrequency: the pitch range searched, in Hz
+//   windowSize: samples per pitch analysis (see capture-processor.js)
+//   gain: input amplification before the analysis
+//   energyThreshold: RMS level a note has to reach
+//   minClarity: how periodic the sound has to be to count as a pitch
+//   stableFrames: smoothing, frames a pitch has to hold to become a note
+
+export const WINDOW_SIZES = [1024, 2048, 4096, 8192];
+
+// Pitch analysis needs about two periods of the lowest pitch in its window.
+// Ranges are checked against the highest common device rate, so they also
+// hold on a 48 kHz interface (at 44.1 kHz the window holds a little more)
+const PERIODS_PER_WINDOW = 2;
+const ASSUMED_SAMPLE_RATE = 48000;
+
+// Lowest pitch a window of windowSize samples can hold
+export function getLowestFrequency(windowSize, sampleRate = ASSUMED_SAMPLE_RATE) {
+  return Math.ceil(PERIODS_PER_WINDOW * sampleRate / windowSize);
+}
+
+export const DEFAULT_DETECTION_SETTINGS = {
+  // The lowest pitch the default 2048-sample window holds; the bass profile
+  // goes lower with a longer window
+  minFrequency: 47,
+  maxFrequency: 2000,
+  windowSize: ANALYSIS_WINDOW_SIZE,
+  gain: INPUT_GAIN,
+  energyThreshold: 0.1,
+  minClarity: 0.7,
+  stableFrames: 3
+};
+
+// Limits of the custom profile editor
+export const DETECTION_FIELDS = [
+  { key: 'minFrequency', label: 'Lowest pitch (Hz)', min: 20, max: 2000, step: 1 },
+  { key: 'maxFrequency', label: 'Highest pitch (Hz)', min: 100, max: 5000, step: 1 },
+  { key: 'gain', label: 'Input gain', min: 1, max: 100, step: 1 },
+  { key: 'energyThreshold', label: 'Volume threshold', min: 0.01, max: 1, step: 0.01 },
+  { key: 'minClarity', label: 'Minimum clarity', min: 0.3, max: 0.99, step: 0.01 },
+  { key: 'stableFrames', label: 'Smoothing (frames)', min: 1, max: 10, step: 1 }
+];
+
+export const DEFAULT_PROFILE_ID = 'general';
+export const CUSTOM_PROFILE_ID = 'custom';
+
+export const INSTRUMENT_PROFILES = [
+  { id: DEFAULT_PROFILE_ID, name: 'General', settings: DEFAULT_DETECTION_SETTINGS },
+  {
+    id: 'voice',
+    name: 'Voice',
+    // Vibrato and breathy tone: less clarity, a little more smoothing
+    settings: { minFrequency: 70, maxFrequency: 1100, windowSize: 2048, gain: 20, energyThreshold: 0.1, minClarity: 0.6, stableFrames: 4 }
+  },
+  {
+    id: 'guitar',
+    name: 'Guitar',
+    settings: { minFrequency: 75, maxFrequency: 1400, windowSize: 2048, gain: 15, energyThreshold: 0.08, minClarity: 0.7, stableFrames: 2 }
+  },
+  {
+    id: 'bass',
+    name: 'Bass',
+    // Low E is 41 Hz, a five-string's low B 31 Hz
+    settings: { minFrequency: 28, maxFrequency: 400, windowSize: 4096, gain: 20, energyThreshold: 0.08, minClarity: 0.7, stableFrames: 3 }
+  },
+  {
+    id: 'violin',
+    name: 'Violin',
+    settings: { minFrequency: 180, maxFrequency: 3500, windowSize: 2048, gain: 15, energyThreshold: 0.08, minClarity: 0.75, stableFrames: 3 }
+  },
+  {
+    id: 'flute',
+    name: 'Flute',
+    settings: { minFrequency: 240, maxFrequency: 2500, windowSize: 1024, gain: 15, energyThreshold: 0.1, minClarity: 0.85, stableFrames: 2 }
+  },
+  {
+    id: 'piano',
+    name: 'Piano',
+    // Decaying, slightly inharmonic strings over the whole keyboard
+    settings: { minFrequency: 27, maxFrequency: 4200, windowSize: 4096, gain: 15, energyThreshold: 0.08, minClarity: 0.6, stableFrames: 2 }
+  },
+  {
+    id: 'whistling',
+    name: 'Whistling',
+    settings: { minFrequency: 500, maxFrequency: 4000, windowSize: 1024, gain: 10, energyThreshold: 0.05, minClarity: 0.9, stableFrames: 2 }
+  }
+];
+
+// Keep settings within the editor's limits, with a valid window size and
+// a pitch range the window can hold: the lowest pitch is raised until two of
+// its periods fit in the window
+export function sanitizeDetectionSettings(settings, sampleRate = ASSUMED_SAMPLE_RATE) {
+  const sanitized = { ...DEFAULT_DETECTION_SETTINGS };
+  DETECTION_FIELDS.forEach(({ key, min, max }) => {
+    const value = parseFloat(settings && settings[key]);
+    if (Number.isFinite(value)) {
+      sanitized[key] = Math.min(max, Math.max(min, value));
+    }
+  });
+  sanitized.stableFrames = Math.round(sanitized.stableFrames);
+  if (settings && WINDOW_SIZES.includes(Number(settings.windowSize))) {
+    sanitized.windowSize = Number(settings.windowSize);
+  }
+  sanitized.minFrequency = Math.max(sanitized.minFrequency, getLowestFrequency(sanitized.windowSize, sampleRate));
+  if (sanitized.maxFrequency <= sanitized.minFrequency) {
+    sanitized.maxFrequency = Math.min(5000, sanitized.minFrequency * 2);
+  }
+  return sanitized;
+}
+
+// The settings of a profile; custom is the user's own profile
+export function getDetectionSettings(profileId, custom) {
+  if (profileId === CUSTOM_PROFILE_ID) {
+    return sanitizeDetectionSettings(custom);
+  }
+  const profile = INSTRUMENT_PROFILES.find(candidate => candidate.id === profileId);
+  return profile ? profile.settings : DEFAULT_DETECTION_SETTINGS;
+}
@@ -0,0 +1,49 @@
+import {
+  CUSTOM_PROFILE_ID,
+  DEFAULT_DETECTION_SETTINGS,
+  INSTRUMENT_PROFILES,
+  getDetectionSettings,
+  sanitizeDetectionSettings
+} from './InstrumentProfiles';
+
+test('every profile has complete, valid settings', () => {
+  INSTRUMENT_PROFILES.forEach(profile => {
+    expect(sanitizeDetectionSettings(profile.settings)).toEqual(profile.settings);
+  });
+});
+
+test('the bass analyses longer windows down to its low strings', () => {
+  const bass = getDetectionSettings('bass');
+  expect(bass.windowSize).toBeGreaterThan(DEFAULT_DETECTION_SETTINGS.windowSize);
+  expect(bass.minFrequency).toBeLessThan(41);
+});
+
+test('custom settings are kept within limits', () => {
+  const custom = getDetectionSettings(CUSTOM_PROFILE_ID, {
+    minFrequency: 5,
+    maxFrequency: 3,
+    windowSize: 3000,
+    gain: 'loud',
+    energyThreshold: 0.2,
+    stableFrames: 2.6
+  });
+  expect(custom).toEqual({
+    ...DEFAULT_DETECTION_SETTINGS,
+    minFrequency: 47,
+    maxFrequency: 100,
+    energyThreshold: 0.2,
+    stableFrames: 3
+  });
+});
+
+test('the lowest pitch is raised until two periods fit in the window', () => {
+  expect(sanitizeDetectionSettings({ minFrequency: 50, windowSize: 1024 }).minFrequency).toBe(94);
+  expect(sanitizeDetectionSettings({ minFrequency: 50, windowSize: 1024 }, 44100).minFrequency).toBe(87);
+  expect(sanitizeDetectionSettings({ minFrequency: 20, windowSize: 8192 }).minFrequency).toBe(20);
+  expect(sanitizeDetectionSettings({ minFrequency: 300, windowSize: 1024 }).minFrequency).toBe(300);
+});
+
+test('unknown profiles fall back to the defaults', () => {
+  expect(getDetectionSettings('theremin')).toBe(DEFAULT_DETECTION_SETTINGS);
+  expect(getDetectionSettings(CUSTOM_PROFILE_ID, null)).toEqual(DEFAULT_DETECTION_SETTINGS);
+});
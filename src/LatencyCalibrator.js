@@ -0,0 +1,150 @@
+import * as Tone from 'tone';
+
+// Measures the round-trip latency of the audio setup: clicks are played
+// through the output and their onsets are detected on the input (or the user
+// claps along with them when the microphone can't hear the speakers). The
+// median delay is stored per input device and subtracted from captured note
+// times.
+
+export const CALIBRATION_SOURCES = {
+  CLICKS: 'clicks', // The microphone hears the speakers
+  CLAPS: 'claps' // The user claps along, e.g. with headphones on
+};
+
+const STORAGE_KEY = 'smartJam.latency';
+export const DEFAULT_DEVICE_ID = 'default';
+
+const DEFAULT_CLICKS = 8;
+const CLICK_INTERVAL = 0.6; // Seconds
+const LEAD_IN = 0.5;
+export const MAX_LATENCY = 0.5;
+// Claps can be a little ahead of the click
+const MAX_EARLY = 0.1;
+const ONSET_RATIO = 4; // Energy over the noise floor that counts as an onset
+const MIN_ONSET_ENERGY = 0.02;
+const ONSET_SEARCH_SAMPLES = 2048;
+
+// Time of the first sample that reaches half the peak of a block of samples
+// whose last sample was captured at endTime
+export function findOnsetTime(samples, endTime, sampleRate) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  if (peak === 0) {
+    return null;
+  }
+  const index = samples.findIndex(sample => Math.abs(sample) >= peak / 2);
+  return endTime - (samples.length - 1 - index) / sampleRate;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Match every click to the closest onset after it and take the median delay.
+// Returns { latency, deviation, matched } or null when fewer than half of the
+// clicks were heard.
+export function measureLatency(clickTimes, onsetTimes, { maxEarly = 0, maxLatency = MAX_LATENCY } = {}) {
+  const delays = [];
+  clickTimes.forEach(clickTime => {
+    const candidates = onsetTimes
+      .map(onsetTime => onsetTime - clickTime)
+      .filter(delay => delay >= -maxEarly && delay <= maxLatency);
+    if (candidates.length > 0) {
+      delays.push(candidates.reduce((best, delay) => (Math.abs(delay) < Math.abs(best) ? delay : best)));
+    }
+  });
+  if (delays.length < clickTimes.length / 2) {
+    return null;
+  }
+  const latency = Math.max(0, median(delays));
+  return {
+    latency,
+    deviation: median(delays.map(delay => Math.abs(delay - latency))),
+    matched: delays.length
+  };
+}
+
+function readOffsets(storage) {
+  try {
+    return JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read stored latency offsets:', error);
+    return {};
+  }
+}
+
+// Stored offset for an input device in seconds (0 if it was never calibrated)
+export function loadLatencyOffset(deviceId, storage = window.localStorage) {
+  return readOffsets(storage)[deviceId || DEFAULT_DEVICE_ID] || 0;
+}
+
+export function saveLatencyOffset(deviceId, seconds, storage = window.localStorage) {
+  const offsets = readOffsets(storage);
+  offsets[deviceId || DEFAULT_DEVICE_ID] = seconds;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(offsets));
+  } catch (error) {
+    console.error('Could not store latency offset:', error);
+  }
+}
+
+class LatencyCalibrator {
+  // pipeline is a started CapturePipeline
+  constructor(pipeline) {
+    this.pipeline = pipeline;
+  }
+
+  // Play the clicks and listen for them. onProgress(clicksPlayed, clicks) is
+  // called as the clicks go by. Resolves with the measureLatency result, or
+  // null when the clicks couldn't be told apart from the noise.
+  async run({ source = CALIBRATION_SOURCES.CLICKS, clicks = DEFAULT_CLICKS, onProgress = () => {} } = {}) {
+    const { pipeline } = this;
+    const synth = new Tone.MembraneSynth().toDestination();
+    const startTime = Tone.now() + LEAD_IN;
+    const clickTimes = Array.from({ length: clicks }, (_, i) => startTime + i * CLICK_INTERVAL);
+    clickTimes.forEach((time, i) => {
+      synth.triggerAttackRelease('C2', 0.05, time);
+      Tone.Draw.schedule(() => onProgress(i + 1, clicks), time);
+    });
+    console.log('Calibration clicks scheduled at', clickTimes);
+
+    const onsetTimes = [];
+    let noiseFloor = null;
+    let isAboveThreshold = false;
+    const previousOnFrame = pipeline.onFrame;
+    pipeline.onFrame = frame => {
+      noiseFloor = noiseFloor === null ? frame.energy : Math.min(noiseFloor * 1.01, Math.max(frame.energy, 1e-4));
+      const threshold = Math.max(MIN_ONSET_ENERGY, noiseFloor * ONSET_RATIO);
+      if (!isAboveThreshold && frame.energy >= threshold) {
+        isAboveThreshold = true;
+        const onsetTime = findOnsetTime(pipeline.getRecentSamples(ONSET_SEARCH_SAMPLES), frame.time, pipeline.sampleRate);
+        if (onsetTime !== null) {
+          onsetTimes.push(onsetTime);
+        }
+      } else if (isAboveThreshold && frame.energy < threshold / 2) {
+        isAboveThreshold = false;
+      }
+    };
+
+    try {
+      const endTime = clickTimes[clickTimes.length - 1] + MAX_LATENCY + 0.2;
+      await new Promise(resolve => setTimeout(resolve, (endTime - Tone.now()) * 1000));
+    } finally {
+      pipeline.onFrame = previousOnFrame;
+      synth.dispose();
+    }
+
+    console.log('Detected onsets:', onsetTimes);
+    const result = measureLatency(clickTimes, onsetTimes, {
+      maxEarly: source === CALIBRATION_SOURCES.CLAPS ? MAX_EARLY : 0
+    });
+    console.log('Latency calibration result:', result);
+    return result;
+  }
+}
+
+export default LatencyCalibrator;
@@ -0,0 +1,29 @@
+import { findOnsetTime, loadLatencyOffset, measureLatency, saveLatencyOffset } from './LatencyCalibrator';
+
+// Only the measurement helpers are tested, without Tone.js
+jest.mock('tone', () => ({}));
+
+test('finds the onset of a click in a block of samples', () => {
+  const samples = new Float32Array(1000);
+  samples.fill(0.8, 600);
+  // The last sample is at 2 s, so sample 600 is 399 samples earlier
+  expect(findOnsetTime(samples, 2, 1000)).toBeCloseTo(1.601);
+});
+
+test('takes the median delay and ignores stray onsets', () => {
+  const clicks = [1, 1.6, 2.2, 2.8];
+  const onsets = [1.051, 1.649, 1.9, 2.25, 2.85];
+  const result = measureLatency(clicks, onsets);
+  expect(result.latency).toBeCloseTo(0.05, 2);
+  expect(result.matched).toBe(4);
+});
+
+test('fails when most clicks were not heard', () => {
+  expect(measureLatency([1, 1.6, 2.2, 2.8], [1.05])).toBeNull();
+});
+
+test('stores offsets per device', () => {
+  saveLatencyOffset('usb-mic', 0.042);
+  expect(loadLatencyOffset('usb-mic')).toBe(0.042);
+  expect(loadLatencyOffset('built-in')).toBe(0);
+});
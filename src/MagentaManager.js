@@ -1,20 +1,228 @@
-/* global mm */
-import * as Tone from 'tone';
+import {
+  STEPS_PER_QUARTER,
+  createSessionContext,
+  getLoopSteps,
+  getPositionsPerBar,
+  getQpm,
+  getStepsPerBar,
+  getStepsPerPosition,
+  toLoopPosition,
+  positionToStep,
+  stepsToGridNote
+} from './SessionContext';
+import {
+  CAPABILITIES,
+  DEFAULT_MODEL_ID,
+  RULE_BASED_MODEL_ID,
+  getCheckpointUrls,
+  getModelDescriptor,
+  getRegisteredModels,
+  hasCapability,
+  isBuiltIn
+} from './ModelRegistry';
+import { NO_CHORD, inferChordProgression } from './ChordAnalyzer';
+import { generateComping } from './VoicingGenerator';
+import { generateDrumPattern } from './DrumPatternGenerator';
+import { generateRuleBasedResponse } from './RuleBasedResponder';
+import { rankCandidates } from './CandidateRanker';
+import { applyConstraints } from './ResponseConstraints';
+import { MAPPING_POLICIES, mapFromRange, mapToRange } from './PitchMapping';
+import MagentaWorkerClient from './MagentaWorkerClient';
 
+// Scripts the inference worker needs, served from public/vendor (see
+// scripts/copy-magenta.js). The CDN set is only a fallback for development
+// setups without them.
+function appUrl(path) {
+  return new URL(`${process.env.PUBLIC_URL}${path}`, window.location.href).href;
+}
+const MAGENTA_LIBRARY_URLS = [
+  [
+    appUrl('/vendor/tfjs/tf.min.js'),
+    appUrl('/vendor/magenta/music_rnn.js'),
+    appUrl('/vendor/magenta/music_vae.js')
+  ],
+  [
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@2.8.6/dist/tf.min.js',
+    'https://cdn.jsdelivr.net/npm/@magenta/music@1.23.1/es6/music_rnn.js',
+    'https://cdn.jsdelivr.net/npm/@magenta/music@1.23.1/es6/music_vae.js'
+  ]
+];
+const LIBRARY_LOAD_TIMEOUT_MS = 20000;
+const MODEL_LOAD_TIMEOUT_MS = 60000;
+
+// Worker-side keys of the loaded models
+const MAIN_MODEL_KEY = 'main';
+const DRUM_MODEL_KEY = 'drums';
+const VAE_MODEL_KEY = 'vae';
+
+// Temperatures of the candidates, relative to the requested temperature
+const CANDIDATE_TEMPERATURE_SPREAD = [1, 0.8, 1.25, 1.5];
+
+// Loading states reported through onStatusChange
+export const MODEL_STATUS = {
+  IDLE: 'idle',
+  LOADING_LIBRARY: 'loading-library',
+  LOADING_MODEL: 'loading-model',
+  READY: 'ready',
+  // Magenta couldn't be loaded, the rule-based responder answers instead
+  FALLBACK: 'fallback',
+  MISSING: 'missing',
+  ERROR: 'error'
+};
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// MusicVAE only encodes fixed-length sequences, so longer loops are cut into
+// numSteps-long windows that are processed one by one and stitched back
+// together with shiftSteps
+function splitIntoWindows(quantized, numSteps) {
+  const windows = [];
+  for (let offset = 0; offset < quantized.totalQuantizedSteps; offset += numSteps) {
+    const notes = quantized.notes
+      .filter(note => note.quantizedStartStep >= offset && note.quantizedStartStep < offset + numSteps)
+      .map(note => ({
+        ...note,
+        quantizedStartStep: note.quantizedStartStep - offset,
+        quantizedEndStep: Math.min(note.quantizedEndStep - offset, numSteps)
+      }));
+    windows.push({ offset, sequence: { ...quantized, notes, totalQuantizedSteps: numSteps } });
+  }
+  return windows;
+}
+
+function shiftSteps(notes, offset) {
+  return notes.map(note => ({
+    ...note,
+    quantizedStartStep: note.quantizedStartStep + offset,
+    quantizedEndStep: note.quantizedEndStep + offset
+  }));
+}
+
+// A window can run past the end of a short loop; drop what doesn't fit
+function loopStepsToGridNotes(notes, session) {
+  const loopSteps = getLoopSteps(session);
+  return notes
+    .filter(note => note.quantizedStartStep < loopSteps)
+    .map(note => stepsToGridNote(note, session));
+}
+
+// Models run in a Web Worker (see workers/magenta.worker.js); this class
+// converts between our note format and NoteSequences on the main thread and
+// forwards the heavy lifting. Generation methods accept options.signal (an
+// AbortSignal) to cancel a request that is no longer needed.
 class MagentaManager {
-  constructor() {
-    this.model = null;
+  constructor(modelId = DEFAULT_MODEL_ID, { onStatusChange } = {}) {
+    this.client = new MagentaWorkerClient();
+    this.libraryPromise = null;
+    this.drumModelPromise = null;
+    this.vaeModelPromise = null;
+    this.modelId = modelId;
+    this.instrumentRange = null;
     this.isInitialized = false;
+    this.status = { state: MODEL_STATUS.IDLE, message: '' };
+    this.onStatusChange = onStatusChange;
     this.config = {
-      validNoteRange: {
-        min: 48, // C3
-        max: 83  // B5
-      }
+      vaeSimilarity: 0.8
     };
   }
 
+  setStatus(state, message = '') {
+    this.status = { state, message };
+    if (this.onStatusChange) {
+      this.onStatusChange(this.status);
+    }
+  }
+
+  // The playable range of the instrument the responses are played on
+  // ({ min, max }); responses are kept inside it unless the constraints
+  // name another instrument range
+  setInstrumentRange(range) {
+    this.instrumentRange = range;
+  }
+
+  getModelDescriptor() {
+    return getModelDescriptor(this.modelId);
+  }
+
+  hasCapability(capability) {
+    return hasCapability(this.getModelDescriptor(), capability);
+  }
+
+  // Valid pitch range of the selected model
   getValidNoteRange() {
-    return this.config.validNoteRange;
+    return this.getModelDescriptor().noteRange;
+  }
+
+  // Load TensorFlow.js and Magenta into the worker, app copy first
+  async loadLibrary() {
+    if (!this.libraryPromise) {
+      this.setStatus(MODEL_STATUS.LOADING_LIBRARY, 'Loading Magenta...');
+      this.libraryPromise = withTimeout(
+        this.client.request('init', { libraryUrls: MAGENTA_LIBRARY_URLS }),
+        LIBRARY_LOAD_TIMEOUT_MS,
+        'Timed out loading Magenta'
+      ).then(source => {
+        console.log('Magenta loaded in worker from', source);
+      }).catch(error => {
+        this.libraryPromise = null;
+        const message = `Magenta library is not available (${error.message}). Check that public/vendor was built.`;
+        this.setStatus(MODEL_STATUS.MISSING, message);
+        throw new Error(message);
+      });
+    }
+    return this.libraryPromise;
+  }
+
+  // Find the first checkpoint location that actually serves the model
+  async resolveCheckpoint(descriptor) {
+    for (const url of getCheckpointUrls(descriptor)) {
+      try {
+        const response = await fetch(`${url}/weights_manifest.json`);
+        // Parsing also rules out the dev server answering with index.html
+        if (response.ok && await response.json()) {
+          return url;
+        }
+      } catch (error) {
+        console.warn('Checkpoint not reachable at', url);
+      }
+    }
+    return null;
+  }
+
+  // Load a model into the worker under key. reportStatus is off for helper
+  // models (e.g. drums) that shouldn't replace the status of the selected model
+  async loadModel(descriptor, key, { reportStatus = true } = {}) {
+    if (isBuiltIn(descriptor)) {
+      return;
+    }
+
+    const setStatus = reportStatus ? this.setStatus.bind(this) : () => {};
+    await this.loadLibrary();
+
+    setStatus(MODEL_STATUS.LOADING_MODEL, `Loading ${descriptor.name}...`);
+    const checkpointUrl = await this.resolveCheckpoint(descriptor);
+    if (!checkpointUrl) {
+      const message = `${descriptor.name} is not available offline. Run "npm run fetch-checkpoints" to install it.`;
+      setStatus(MODEL_STATUS.MISSING, message);
+      throw new Error(message);
+    }
+
+    try {
+      await withTimeout(
+        this.client.request('load', { key, modelType: descriptor.type, checkpointUrl }),
+        MODEL_LOAD_TIMEOUT_MS,
+        `Timed out loading ${descriptor.name}`
+      );
+    } catch (error) {
+      setStatus(MODEL_STATUS.ERROR, error.message);
+      throw error;
+    }
   }
 
   async initialize() {
@@ -24,123 +232,404 @@ class MagentaManager {
 
     console.log('Initializing Magenta...');
     try {
-      // Wait for Magenta to be available
-      if (!window.mm) {
-        console.log('Waiting for Magenta to load...');
-        await new Promise(resolve => {
-          const checkMagenta = () => {
-            if (window.mm) {
-              resolve();
-            } else {
-              setTimeout(checkMagenta, 100);
-            }
-          };
-          checkMagenta();
-        });
-      }
-
-      // Initialize the MusicRNN model
-      this.model = new mm.MusicRNN(
-        'https://storage.googleapis.com/download.magenta.tensorflow.org/' +
-        'tfjs_checkpoints/music_rnn/basic_rnn'
-      );
-      await this.model.initialize();
+      const descriptor = this.getModelDescriptor();
+      await this.loadModel(descriptor, MAIN_MODEL_KEY);
       this.isInitialized = true;
-      console.log('Magenta model initialized');
+      this.setStatus(MODEL_STATUS.READY, descriptor.name);
+      console.log(`Magenta model initialized: ${descriptor.name}`);
     } catch (error) {
       console.error('Error initializing Magenta model:', error);
-      throw error;
+      this.useFallback(error.message);
     }
   }
 
-  async generateResponse(notes, temperature = 1.0) {
+  // Answer with the rule-based responder when Magenta is unavailable.
+  // Another model can still be picked later, e.g. once checkpoints are installed.
+  useFallback(reason) {
+    const descriptor = getModelDescriptor(RULE_BASED_MODEL_ID);
+    this.modelId = descriptor.id;
+    this.isInitialized = true;
+    this.setStatus(MODEL_STATUS.FALLBACK, `${reason} Using the ${descriptor.name} responder instead.`);
+    console.log(`Falling back to ${descriptor.name}`);
+  }
+
+  // Swap to another registered model. The worker replaces the current model
+  // once the new one has finished loading; if loading fails the current
+  // model stays selected.
+  async setModel(modelId) {
+    if (modelId === this.modelId && this.isInitialized) {
+      return;
+    }
+
+    const descriptor = getModelDescriptor(modelId);
+    console.log(`Switching model to ${descriptor.name}...`);
+    await this.loadModel(descriptor, MAIN_MODEL_KEY);
+
+    this.modelId = modelId;
+    this.isInitialized = true;
+    this.setStatus(MODEL_STATUS.READY, descriptor.name);
+    console.log(`Model switched to ${descriptor.name}`);
+  }
+
+  dispose() {
+    this.client.terminate();
+  }
+
+  // Build a quantized NoteSequence for the session from notes in grid positions
+  buildSequence(notes, context, { isDrum = false } = {}) {
+    const loopSteps = getLoopSteps(context);
+    const sequenceNotes = notes.map(note => {
+      const startStep = positionToStep(note.startPosition, context);
+      const length = Math.max(1, Math.round((note.endPosition - note.startPosition) * getStepsPerPosition(context)));
+      return {
+        pitch: note.pitch,
+        quantizedStartStep: startStep,
+        quantizedEndStep: Math.min(startStep + length, loopSteps),
+        velocity: note.velocity || 100,
+        isDrum
+      };
+    }).filter(note => note.quantizedEndStep > note.quantizedStartStep);
+
+    return {
+      notes: sequenceNotes,
+      quantizationInfo: { stepsPerQuarter: STEPS_PER_QUARTER },
+      totalQuantizedSteps: loopSteps,
+      timeSignatures: [{
+        time: 0,
+        numerator: context.timeSignature.numerator,
+        denominator: context.timeSignature.denominator
+      }],
+      tempos: [{ time: 0, qpm: getQpm(context) }]
+    };
+  }
+
+  // Generate a continuation of the user's loop.
+  // notes are in grid positions for the session described by context (see
+  // SessionContext.js); the response is returned in grid positions for the
+  // same session, starting at bar 1 of the next loop pass.
+  // options.chordProgression is used by chord-conditioned models (one chord
+  // symbol per loop bar, repeated for the response); without it they
+  // improvise over "no chord".
+  // options.variant picks an alternative answer from the rule-based responder.
+  // options.lengthInBars shortens the response (the whole loop by default).
+  // options.constraints (see ResponseConstraints.js) shape the output.
+  // options.inputMapping (see PitchMapping.js) decides what happens to notes
+  // outside the model's range; when they are moved, the response is moved
+  // back into the user's register.
+  async generateResponse(notes, context, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Magenta not initialized. Please call initialize() first.');
     }
 
+    const {
+      temperature = 1.0,
+      chordProgression = [NO_CHORD],
+      variant = 0,
+      constraints = {},
+      inputMapping = MAPPING_POLICIES.FOLD,
+      signal
+    } = options;
+    const session = createSessionContext(context);
+    const lengthInBars = Math.min(options.lengthInBars || session.numberOfBars, session.numberOfBars);
+    const responseLength = lengthInBars * getPositionsPerBar(session);
+    const descriptor = this.getModelDescriptor();
+    const validNoteRange = descriptor.noteRange;
+
     try {
       console.log('Converting notes to Magenta format...');
-      // Filter out notes outside the valid range
-      const validNotes = notes.filter(note => {
-        const isValid = note.pitch >= this.config.validNoteRange.min && 
-                       note.pitch <= this.config.validNoteRange.max;
-        if (!isValid) {
-          console.log(`Note ${note.pitch} is outside valid range (${this.config.validNoteRange.min}-${this.config.validNoteRange.max})`);
-        }
-        return isValid;
-      });
+      const { notes: validNotes, offset } = mapToRange(notes, validNoteRange, inputMapping);
+      if (validNotes.length < notes.length) {
+        console.log(`${notes.length - validNotes.length} notes outside valid range (${validNoteRange.min}-${validNoteRange.max}) ignored`);
+      }
+      if (offset !== 0) {
+        console.log(`Input moved into model range, response will be shifted by ${offset} semitones`);
+      }
 
       if (validNotes.length === 0) {
         console.log('No valid notes to send to Magenta');
         return [];
       }
 
-      // Convert notes to Magenta format
-      const magentaNotes = validNotes.map(note => ({
-        pitch: note.pitch,
-        startTime: note.startTime,
-        endTime: note.endTime,
-        velocity: 100 // Default velocity
-      }));
+      // Move the response back to the user's register and trim it to the
+      // requested length before applying the constraints. Without an
+      // instrument, the model's range moved to the user's register stands in.
+      const instrumentRange = this.instrumentRange || { min: validNoteRange.min + offset, max: validNoteRange.max + offset };
+      const constrain = response => applyConstraints(
+        mapFromRange(response, offset).filter(note => toLoopPosition(note.startPosition, session) < responseLength),
+        session,
+        { ...constraints, instrumentRange: constraints.instrumentRange || instrumentRange },
+        notes
+      );
 
-      // Create a sequence with totalTime
-      const sequence = {
-        notes: magentaNotes,
-        totalTime: Math.max(...magentaNotes.map(n => n.endTime)),
-        timeSignatures: [{ time: 0, numerator: 4, denominator: 4 }],
-        tempos: [{ time: 0, qpm: 120 }]
-      };
-      console.log('Created sequence:', sequence);
+      if (isBuiltIn(descriptor)) {
+        return constrain(generateRuleBasedResponse(validNotes, session, { noteRange: validNoteRange, variant }));
+      }
 
-      // Quantize the sequence
-      console.log('Quantizing sequence...');
-      const quantized = mm.sequences.quantizeNoteSequence(sequence, 4);
+      // The sequence always spans the whole loop so the continuation starts
+      // on the downbeat of the next pass
+      const quantized = this.buildSequence(validNotes, session);
       console.log('Quantized sequence:', quantized);
 
-      // Generate continuation
-      console.log('Generating continuation...');
-      const response = await this.model.continueSequence(
-        quantized,
-        32, // steps
-        temperature
-      );
+      let response;
+      if (hasCapability(descriptor, CAPABILITIES.MELODY_CONTINUATION)) {
+        // Magenta spreads the progression evenly over the seed and the
+        // continuation, so it has to cover both: the loop's chords, then the
+        // same chords again for the response bars
+        const conditioningBars = session.numberOfBars + lengthInBars;
+        const conditioning = Array.from({ length: conditioningBars }, (_, bar) =>
+          chordProgression[bar % chordProgression.length]
+        );
+        console.log('Generating continuation...');
+        response = await this.client.request('continue', {
+          key: MAIN_MODEL_KEY,
+          sequence: quantized,
+          steps: lengthInBars * getStepsPerBar(session),
+          temperature,
+          chordProgression: hasCapability(descriptor, CAPABILITIES.CHORD_CONDITIONED) ? conditioning : undefined
+        }, { signal });
+      } else if (hasCapability(descriptor, CAPABILITIES.INTERPOLATION)) {
+        console.log('Generating variation...');
+        [response] = await this.generateSimilar(quantized, descriptor.numSteps, temperature, signal);
+      } else {
+        throw new Error(`${descriptor.name} cannot generate melodic responses`);
+      }
       console.log('Got response:', response);
 
-      // Convert response back to our format
-      const convertedResponse = response.notes.map(note => {
-        // Calculate time based on steps and tempo
-        const secondsPerStep = 60 / (120 * 4); // 120 BPM, 4 steps per quarter note
-        return {
-          pitch: note.pitch,
-          startTime: note.quantizedStartStep * secondsPerStep,
-          endTime: note.quantizedEndStep * secondsPerStep,
-          velocity: note.velocity || 100
-        };
-      });
+      // Convert response back to grid positions for this session
+      const convertedResponse = response.notes.map(note => stepsToGridNote(note, session));
       console.log('Converted response:', convertedResponse);
 
-      return convertedResponse;
+      return constrain(convertedResponse);
     } catch (error) {
-      console.error('Error in generateResponse:', error);
+      if (!signal || !signal.aborted) {
+        console.error('Error in generateResponse:', error);
+      }
       throw error;
     }
   }
 
-  async playSequence(notes, synth) {
-    if (!synth) {
-      synth = new Tone.PolySynth(Tone.Synth).toDestination();
+  // Generate several responses (spread around options.temperature, or
+  // different seeds for the rule-based responder) and rank them against the
+  // user's phrase. Returns [{ notes, temperature, score }], best first.
+  async generateCandidates(notes, context, options = {}) {
+    const { count = 3, temperature = 1.0, chordProgression, lengthInBars, constraints, inputMapping, signal } = options;
+    const session = createSessionContext(context);
+    const candidates = [];
+    for (let variant = 0; variant < count; variant++) {
+      const candidateTemperature = temperature * CANDIDATE_TEMPERATURE_SPREAD[variant % CANDIDATE_TEMPERATURE_SPREAD.length];
+      const response = await this.generateResponse(notes, session, {
+        temperature: candidateTemperature,
+        chordProgression,
+        variant,
+        lengthInBars,
+        constraints,
+        inputMapping,
+        signal
+      });
+      candidates.push({ notes: response, temperature: candidateTemperature });
     }
 
-    const now = Tone.now();
-    notes.forEach(note => {
-      const duration = note.endTime - note.startTime;
-      synth.triggerAttackRelease(
-        Tone.Frequency(note.pitch, "midi").toNote(),
-        duration,
-        now + note.startTime,
-        note.velocity / 127
-      );
+    const ranked = rankCandidates(candidates, notes, session);
+    console.log('Ranked candidates:', ranked.map(candidate => candidate.score.total.toFixed(2)));
+    return ranked;
+  }
+
+  // Generate an accompaniment for the user's loop. A chord is inferred for
+  // every bar; a chord-conditioned model improvises over the progression with
+  // a bass line underneath, any other model falls back to the voicing
+  // generator. Works without a loaded model. options.constraints apply to the
+  // improvised line only.
+  // Returns { chords, notes } with notes in grid positions.
+  async generateAccompaniment(notes, context, options = {}) {
+    const { temperature = 1.0, constraints, inputMapping, signal } = options;
+    const session = createSessionContext(context);
+    const chords = inferChordProgression(notes, session);
+    console.log('Inferred chord progression:', chords);
+
+    if (chords.every(symbol => symbol === NO_CHORD)) {
+      return { chords, notes: [] };
+    }
+
+    if (this.isInitialized && this.hasCapability(CAPABILITIES.CHORD_CONDITIONED)) {
+      const line = await this.generateResponse(notes, session, {
+        temperature,
+        chordProgression: chords,
+        constraints,
+        inputMapping,
+        signal
+      });
+      const bass = generateComping(chords, session, { includeChords: false });
+      return { chords, notes: [...bass, ...line] };
+    }
+
+    return { chords, notes: generateComping(chords, session) };
+  }
+
+  // The drum model is loaded on first use, next to the selected model
+  async loadDrumModel() {
+    if (!this.drumModelPromise) {
+      const descriptor = getRegisteredModels().find(model => hasCapability(model, CAPABILITIES.DRUMS));
+      if (!descriptor) {
+        throw new Error('No drum model registered');
+      }
+      this.drumModelPromise = this.loadModel(descriptor, DRUM_MODEL_KEY, { reportStatus: false })
+        .catch(error => {
+          this.drumModelPromise = null;
+          throw error;
+        });
+    }
+    return this.drumModelPromise;
+  }
+
+  // Generate a drum kit pattern that follows the rhythm of the user's loop.
+  // The pattern generator always runs; with options.useModel DrumsRNN then
+  // continues that groove for the next loop pass. Falls back to the plain
+  // pattern when the drum model can't be loaded.
+  async generateDrums(notes, context, options = {}) {
+    const { useModel = false, temperature = 1.0, signal } = options;
+    const session = createSessionContext(context);
+    const pattern = generateDrumPattern(notes, session);
+    if (!useModel || pattern.length === 0) {
+      return pattern;
+    }
+
+    try {
+      await this.loadDrumModel();
+      const seed = this.buildSequence(pattern, session, { isDrum: true });
+      const response = await this.client.request('continue', {
+        key: DRUM_MODEL_KEY,
+        sequence: seed,
+        steps: getLoopSteps(session),
+        temperature
+      }, { signal });
+      return response.notes.map(note => {
+        const drumHit = stepsToGridNote(note, session);
+        // Drum hits are one-shots
+        return { ...drumHit, endPosition: drumHit.startPosition + 1 };
+      });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      console.warn('DrumsRNN unavailable, using the pattern generator:', error.message);
+      return pattern;
+    }
+  }
+
+  // Vary the loop with MusicVAE, one window at a time. Returns numSamples
+  // sequences ({ notes } in loop steps).
+  async generateSimilar(quantized, numSteps, temperature, signal, { key = MAIN_MODEL_KEY, numSamples = 1 } = {}) {
+    const samples = Array.from({ length: numSamples }, () => ({ notes: [] }));
+    for (const window of splitIntoWindows(quantized, numSteps)) {
+      if (window.sequence.notes.length === 0) {
+        continue;
+      }
+
+      const variations = await this.client.request('similar', {
+        key,
+        sequence: window.sequence,
+        numSamples,
+        similarity: this.config.vaeSimilarity,
+        temperature
+      }, { signal });
+      variations.forEach((variation, index) => {
+        samples[index].notes.push(...shiftSteps(variation.notes, window.offset));
+      });
+    }
+    return samples;
+  }
+
+  // Interpolate between two loops with MusicVAE, window by window.
+  // Returns numInterps sequences from start to end, both included.
+  async interpolateSequences(start, end, numSteps, numInterps, temperature, signal) {
+    const frames = Array.from({ length: numInterps }, () => ({ notes: [] }));
+    const startWindows = splitIntoWindows(start, numSteps);
+    const endWindows = splitIntoWindows(end, numSteps);
+    for (let index = 0; index < startWindows.length; index++) {
+      const from = startWindows[index];
+      const to = endWindows[index];
+      if (from.sequence.notes.length === 0 && to.sequence.notes.length === 0) {
+        continue;
+      }
+
+      const interpolation = await this.client.request('interpolate', {
+        key: VAE_MODEL_KEY,
+        sequences: [from.sequence, to.sequence],
+        numInterps,
+        temperature
+      }, { signal });
+      interpolation.forEach((frame, frameIndex) => {
+        frames[frameIndex].notes.push(...shiftSteps(frame.notes, from.offset));
+      });
+    }
+    return frames;
+  }
+
+  // The MusicVAE used by the phrase tools is loaded on first use
+  async loadVaeModel() {
+    if (!this.vaeModelPromise) {
+      const descriptor = getRegisteredModels().find(model => hasCapability(model, CAPABILITIES.INTERPOLATION));
+      if (!descriptor) {
+        throw new Error('No MusicVAE model registered');
+      }
+      this.vaeModelPromise = this.loadModel(descriptor, VAE_MODEL_KEY, { reportStatus: false })
+        .then(() => descriptor)
+        .catch(error => {
+          this.vaeModelPromise = null;
+          throw error;
+        });
+    }
+    return this.vaeModelPromise;
+  }
+
+  // Notes the MusicVAE can encode, as a quantized sequence for the session
+  async buildVaeSequence(notes, session) {
+    const descriptor = await this.loadVaeModel();
+    const { min, max } = descriptor.noteRange;
+    return {
+      descriptor,
+      sequence: this.buildSequence(notes.filter(note => note.pitch >= min && note.pitch <= max), session)
+    };
+  }
+
+  // count variations of the user's loop. Returns a list of phrases in grid
+  // positions for the session.
+  async generateVariations(notes, context, options = {}) {
+    const { count = 4, temperature = 1.0, signal } = options;
+    const session = createSessionContext(context);
+    const { descriptor, sequence } = await this.buildVaeSequence(notes, session);
+    if (sequence.notes.length === 0) {
+      return [];
+    }
+
+    const samples = await this.generateSimilar(sequence, descriptor.numSteps, temperature, signal, {
+      key: VAE_MODEL_KEY,
+      numSamples: count
     });
+    return samples.map(sample => loopStepsToGridNotes(sample.notes, session));
+  }
+
+  // Phrases leading from one loop to another in steps - 1 equal moves, in grid
+  // positions for the session. The first and last phrase are the VAE's
+  // reconstructions of the two loops.
+  async interpolatePhrases(startNotes, endNotes, context, options = {}) {
+    const { steps = 4, temperature = 0.5, signal } = options;
+    const session = createSessionContext(context);
+    const start = await this.buildVaeSequence(startNotes, session);
+    const end = await this.buildVaeSequence(endNotes, session);
+    if (start.sequence.notes.length === 0 && end.sequence.notes.length === 0) {
+      return [];
+    }
+
+    const frames = await this.interpolateSequences(
+      start.sequence,
+      end.sequence,
+      start.descriptor.numSteps,
+      Math.max(2, steps),
+      temperature,
+      signal
+    );
+    return frames.map(frame => loopStepsToGridNotes(frame.notes, session));
   }
 }
 
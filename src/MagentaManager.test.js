@@ -0,0 +1,73 @@
+import MagentaManager from './MagentaManager';
+import { createSessionContext, getStepsPerBar } from './SessionContext';
+
+// Records the worker requests instead of running the models
+jest.mock('./MagentaWorkerClient', () => ({
+  __esModule: true,
+  default: class {
+    constructor() {
+      this.requests = [];
+    }
+
+    async request(type, payload) {
+      this.requests.push({ type, payload });
+      return { notes: this.responseNotes || [] };
+    }
+  }
+}));
+
+const context = createSessionContext({ numberOfBars: 4, gridDivision: 4 });
+const loop = [0, 16, 32, 48].map(startPosition => ({ pitch: 60, startPosition, endPosition: startPosition + 4, velocity: 100 }));
+
+function createManager(modelId) {
+  const manager = new MagentaManager(modelId);
+  manager.isInitialized = true;
+  return manager;
+}
+
+// The chord Magenta's ChordEncoder.encodeProgression conditions a step on:
+// the progression is spread evenly over the seed and the continuation
+function conditionedChord({ sequence, steps, chordProgression }, step) {
+  const numSteps = sequence.totalQuantizedSteps + steps;
+  return chordProgression[Math.floor(step / (numSteps / chordProgression.length))];
+}
+
+test('conditions every continuation bar on the chord of the same loop bar', async () => {
+  const manager = createManager('chord_pitches_improv');
+  const chords = ['C', 'F', 'G', 'C'];
+  const stepsPerBar = getStepsPerBar(context);
+
+  await manager.generateResponse(loop, context, { chordProgression: chords });
+  const full = manager.client.requests[0].payload;
+  const fullBars = [0, 1, 2, 3].map(bar =>
+    conditionedChord(full, full.sequence.totalQuantizedSteps + bar * stepsPerBar));
+  expect(fullBars).toEqual(chords);
+
+  await manager.generateResponse(loop, context, { chordProgression: chords, lengthInBars: 2 });
+  const short = manager.client.requests[1].payload;
+  const shortBars = [0, 1].map(bar =>
+    conditionedChord(short, short.sequence.totalQuantizedSteps + bar * stepsPerBar));
+  expect(shortBars).toEqual(['C', 'F']);
+});
+
+test('sends no chords to models without chord conditioning', async () => {
+  const manager = createManager('basic_rnn');
+  await manager.generateResponse(loop, context, { chordProgression: ['C', 'F', 'G', 'C'] });
+  expect(manager.client.requests[0].payload.chordProgression).toBeUndefined();
+});
+
+test('keeps responses within the AI instrument rather than the model range', async () => {
+  const manager = createManager('basic_rnn');
+  // Both inside the model's C3 - B5
+  manager.client.responseNotes = [
+    { pitch: 50, quantizedStartStep: 0, quantizedEndStep: 4 },
+    { pitch: 65, quantizedStartStep: 4, quantizedEndStep: 8 }
+  ];
+  const pitches = async options => (await manager.generateResponse(loop, context, options)).map(note => note.pitch);
+
+  expect(await pitches()).toEqual([50, 65]);
+
+  manager.setInstrumentRange({ min: 60, max: 96 });
+  expect(await pitches()).toEqual([65]);
+  expect(await pitches({ constraints: { instrumentRange: { min: 36, max: 60 } } })).toEqual([50]);
+});
@@ -0,0 +1,94 @@
+// Promise-based wrapper around workers/magenta.worker.js.
+// Every request resolves with the worker's result or rejects with its error.
+// Pass an AbortSignal to cancel a request that is still queued or running;
+// it then rejects with a GenerationCancelledError.
+
+export class GenerationCancelledError extends Error {
+  constructor(message = 'Generation was cancelled') {
+    super(message);
+    this.name = 'GenerationCancelledError';
+  }
+}
+
+class MagentaWorkerClient {
+  constructor() {
+    this.worker = new Worker(new URL('./workers/magenta.worker.js', import.meta.url));
+    this.pending = new Map();
+    this.nextId = 1;
+    this.worker.addEventListener('message', this.handleMessage.bind(this));
+    this.worker.addEventListener('error', this.handleError.bind(this));
+  }
+
+  handleMessage(event) {
+    const { id, result, error, cancelled } = event.data;
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+    this.pending.delete(id);
+    request.cleanup();
+
+    if (cancelled) {
+      request.reject(new GenerationCancelledError());
+    } else if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  // A crashed worker fails every outstanding request
+  handleError(event) {
+    console.error('Magenta worker error:', event.message);
+    this.pending.forEach(request => {
+      request.cleanup();
+      request.reject(new Error(event.message || 'Magenta worker crashed'));
+    });
+    this.pending.clear();
+  }
+
+  request(type, payload, { signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new GenerationCancelledError());
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.cancel(id);
+      const cleanup = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      this.pending.set(id, { resolve, reject, cleanup });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  // Reject right away; the worker skips the request or drops its result
+  cancel(id) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+    this.pending.delete(id);
+    request.cleanup();
+    request.reject(new GenerationCancelledError());
+    this.worker.postMessage({ type: 'cancel', payload: { requestId: id } });
+  }
+
+  terminate() {
+    this.worker.terminate();
+    this.pending.forEach(request => {
+      request.cleanup();
+      request.reject(new GenerationCancelledError('Magenta worker was terminated'));
+    });
+    this.pending.clear();
+  }
+}
+
+export default MagentaWorkerClient;
@@ -0,0 +1,145 @@
+// Registry of the generators a session can choose from.
+// Each entry declares what the model can do (capabilities) and the pitch range
+// it was trained on, which replaces the old fixed validNoteRange.
+//
+// Descriptor fields:
+//   id           - unique key, used by the UI and MagentaManager.setModel()
+//   name         - label shown in the model picker
+//   type         - 'MusicRNN' | 'MusicVAE' (run in the inference worker) or
+//                  'RuleBased' (built in, runs without Magenta)
+//   checkpoint   - checkpoint path, served from public/checkpoints first and
+//                  from Magenta's storage bucket when not available locally.
+//                  Built-in generators have none
+//   capabilities - list of CAPABILITIES values
+//   noteRange    - { min, max } MIDI pitches the model accepts
+//   numSteps     - fixed sequence length in steps (MusicVAE only)
+
+export const CAPABILITIES = {
+  MELODY_CONTINUATION: 'melody-continuation',
+  CHORD_CONDITIONED: 'chord-conditioned',
+  DRUMS: 'drums',
+  INTERPOLATION: 'interpolation'
+};
+
+export const DEFAULT_MODEL_ID = 'basic_rnn';
+
+// Used whenever Magenta can't be loaded
+export const RULE_BASED_MODEL_ID = 'rule_based';
+
+// Checkpoints are looked up in this order. Run `npm run fetch-checkpoints`
+// to put them in public/checkpoints for offline use.
+const CHECKPOINT_BASE_URLS = [
+  `${process.env.PUBLIC_URL}/checkpoints/`,
+  'https://storage.googleapis.com/download.magenta.tensorflow.org/tfjs_checkpoints/'
+];
+
+const MELODY_RANGE = { min: 48, max: 83 }; // C3 - B5
+const VAE_MELODY_RANGE = { min: 21, max: 107 }; // A0 - B7
+const DRUM_RANGE = { min: 35, max: 81 }; // General MIDI percussion
+const PIANO_RANGE = { min: 21, max: 108 }; // A0 - C8
+
+const registry = new Map();
+
+export function registerModel(descriptor) {
+  if (!descriptor.id || !descriptor.type) {
+    throw new Error('Model descriptor needs an id and a type');
+  }
+  registry.set(descriptor.id, {
+    capabilities: [],
+    noteRange: MELODY_RANGE,
+    ...descriptor
+  });
+}
+
+export function getModelDescriptor(id) {
+  const descriptor = registry.get(id);
+  if (!descriptor) {
+    throw new Error(`Unknown model: ${id}`);
+  }
+  return descriptor;
+}
+
+export function getRegisteredModels() {
+  return Array.from(registry.values());
+}
+
+// Candidate URLs for a model's checkpoint, local copy first.
+// Absolute checkpoint URLs are used as they are.
+export function getCheckpointUrls(descriptor) {
+  if (/^https?:\/\//.test(descriptor.checkpoint)) {
+    return [descriptor.checkpoint];
+  }
+  return CHECKPOINT_BASE_URLS.map(baseUrl => `${baseUrl}${descriptor.checkpoint}`);
+}
+
+export function hasCapability(descriptor, capability) {
+  return descriptor.capabilities.includes(capability);
+}
+
+// Built-in generators have no checkpoint and don't need Magenta
+export function isBuiltIn(descriptor) {
+  return !descriptor.checkpoint;
+}
+
+registerModel({
+  id: 'basic_rnn',
+  name: 'MusicRNN (basic)',
+  type: 'MusicRNN',
+  checkpoint: 'music_rnn/basic_rnn',
+  capabilities: [CAPABILITIES.MELODY_CONTINUATION],
+  noteRange: MELODY_RANGE
+});
+
+registerModel({
+  id: 'lookback_rnn',
+  name: 'MusicRNN (lookback)',
+  type: 'MusicRNN',
+  checkpoint: 'music_rnn/lookback_rnn',
+  capabilities: [CAPABILITIES.MELODY_CONTINUATION],
+  noteRange: MELODY_RANGE
+});
+
+registerModel({
+  id: 'attention_rnn',
+  name: 'MusicRNN (attention)',
+  type: 'MusicRNN',
+  checkpoint: 'music_rnn/attention_rnn',
+  capabilities: [CAPABILITIES.MELODY_CONTINUATION],
+  noteRange: MELODY_RANGE
+});
+
+registerModel({
+  id: 'chord_pitches_improv',
+  name: 'ImprovRNN (chord-conditioned)',
+  type: 'MusicRNN',
+  checkpoint: 'music_rnn/chord_pitches_improv',
+  capabilities: [CAPABILITIES.MELODY_CONTINUATION, CAPABILITIES.CHORD_CONDITIONED],
+  noteRange: MELODY_RANGE
+});
+
+registerModel({
+  id: 'drum_kit_rnn',
+  name: 'DrumsRNN',
+  type: 'MusicRNN',
+  checkpoint: 'music_rnn/drum_kit_rnn',
+  capabilities: [CAPABILITIES.DRUMS],
+  noteRange: DRUM_RANGE
+});
+
+registerModel({
+  id: 'mel_2bar_small',
+  name: 'MusicVAE (2-bar melody)',
+  type: 'MusicVAE',
+  checkpoint: 'music_vae/mel_2bar_small',
+  capabilities: [CAPABILITIES.INTERPOLATION],
+  noteRange: VAE_MELODY_RANGE,
+  numSteps: 32
+});
+
+registerModel({
+  id: RULE_BASED_MODEL_ID,
+  name: 'Rule-based (no model)',
+  type: 'RuleBased',
+  capabilities: [CAPABILITIES.MELODY_CONTINUATION],
+  noteRange: PIANO_RANGE
+});
@@ -0,0 +1,112 @@
+// Shared pitch helpers
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// MIDI note number to a name like "C4" (MIDI 60 = C4)
+export function midiToNoteName(midiNote) {
+  const octave = Math.floor(midiNote / 12) - 1;
+  return `${NOTE_NAMES[pitchClass(midiNote)]}${octave}`;
+}
+
+export function pitchClass(midiNote) {
+  return ((midiNote % 12) + 12) % 12;
+}
+
+// Chord qualities recognized by the analyzers, as intervals above the root
+export const CHORD_QUALITIES = [
+  { suffix: '', intervals: [0, 4, 7] },
+  { suffix: 'm', intervals: [0, 3, 7] },
+  { suffix: '7', intervals: [0, 4, 7, 10] },
+  { suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { suffix: 'm7', intervals: [0, 3, 7, 10] },
+  { suffix: 'dim', intervals: [0, 3, 6] },
+  { suffix: 'sus4', intervals: [0, 5, 7] }
+];
+
+export function chordSymbol(root, quality) {
+  return `${NOTE_NAMES[pitchClass(root)]}${quality.suffix}`;
+}
+
+// Parse a symbol like "F#m7" into its root pitch class and intervals
+export function parseChordSymbol(symbol) {
+  const match = /^([A-G]#?)(.*)$/.exec(symbol);
+  if (!match) {
+    return null;
+  }
+  const quality = CHORD_QUALITIES.find(q => q.suffix === match[2]);
+  if (!quality) {
+    return null;
+  }
+  return { root: NOTE_NAMES.indexOf(match[1]), intervals: quality.intervals };
+}
+
+// Major scale as intervals above the tonic. Minor keys share the scale of
+// their relative major, which is all the scale-aware generators need.
+export const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+// Scales a response can be locked to, as intervals above the tonic
+export const SCALES = {
+  major: { name: 'Major', intervals: MAJOR_SCALE },
+  minor: { name: 'Natural minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  majorPentatonic: { name: 'Major pentatonic', intervals: [0, 2, 4, 7, 9] },
+  minorPentatonic: { name: 'Minor pentatonic', intervals: [0, 3, 5, 7, 10] },
+  blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] }
+};
+
+// Nearest pitch of the scale; halfway between two scale tones goes down
+export function snapToScale(pitch, tonic, intervals) {
+  const inScale = candidate => intervals.includes(pitchClass(candidate - tonic));
+  for (let distance = 0; distance < 12; distance++) {
+    if (inScale(pitch - distance)) {
+      return pitch - distance;
+    }
+    if (inScale(pitch + distance)) {
+      return pitch + distance;
+    }
+  }
+  return pitch;
+}
+
+// Best-fitting major key for a set of notes: the key whose scale covers the
+// most sounding time, ties going to the key whose tonic is played most.
+// Returns { tonic, name } with tonic as a pitch class, or null without notes.
+export function detectKey(notes) {
+  if (notes.length === 0) {
+    return null;
+  }
+
+  const weights = new Array(12).fill(0);
+  notes.forEach(note => {
+    weights[pitchClass(note.pitch)] += Math.max(1, (note.endPosition || 0) - (note.startPosition || 0));
+  });
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const coverage = MAJOR_SCALE.reduce((sum, interval) => sum + weights[(tonic + interval) % 12], 0);
+    if (!best || coverage > best.coverage ||
+        (coverage === best.coverage && weights[tonic] > weights[best.tonic])) {
+      best = { tonic, coverage };
+    }
+  }
+  return { tonic: best.tonic, name: NOTE_NAMES[best.tonic] };
+}
+
+// Position of a pitch in the key as a diatonic index (7 per octave).
+// Pitches outside the scale count as the scale tone just below them.
+export function toScaleIndex(pitch, tonic) {
+  const relative = pitch - tonic;
+  const octave = Math.floor(relative / 12);
+  const semitone = relative - octave * 12;
+  let degree = MAJOR_SCALE.length - 1;
+  while (MAJOR_SCALE[degree] > semitone) {
+    degree--;
+  }
+  return octave * MAJOR_SCALE.length + degree;
+}
+
+export function fromScaleIndex(index, tonic) {
+  const octave = Math.floor(index / MAJOR_SCALE.length);
+  const degree = index - octave * MAJOR_SCALE.length;
+  return tonic + octave * 12 + MAJOR_SCALE[degree];
+}
@@ -0,0 +1,184 @@
+import { DEFAULT_REFERENCE_PITCH, frequencyToMidi } from './Tuning';
+
+// Turns the stream of pitch/energy frames from the capture pipeline into
+// notes, one per played note:
+//   { pitch, startTime, endTime, velocity }
+// with times in the frames' clock (seconds).
+//
+// - A note starts once a clear pitch has held for a few frames above the
+//   energy threshold (the onset time is the first of those frames)
+// - Pitch hysteresis: a new pitch must be more than pitchTolerance semitones
+//   away and hold for as many frames before the note changes, so vibrato and
+//   detection glitches don't split notes
+// - A sharp rise in energy during a note is a new onset (repeated notes)
+// - The note ends once the energy has stayed under the release level for
+//   silenceTime; the end time is when it dropped
+// - Notes are cut at maxDuration; the rest of a held note is ignored until
+//   the next onset
+// - Velocity comes from the peak energy just after the onset
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  energyThreshold: 0.1, // RMS level a note has to reach
+  releaseRatio: 0.5, // The note ends below energyThreshold * releaseRatio
+  minClarity: 0.7,
+  stableFrames: 3,
+  pitchTolerance: 0.7, // Semitones
+  onsetRatio: 2, // Energy jump (over the lowest level since the last peak) that is a new onset
+  minInterOnsetTime: 0.08,
+  silenceTime: 0.1,
+  minDuration: 0.04,
+  maxDuration: Infinity,
+  referencePitch: DEFAULT_REFERENCE_PITCH // A4 in Hz (see Tuning.js)
+};
+
+// Time after the onset over which the velocity is measured
+const VELOCITY_WINDOW = 0.05;
+// Dynamic range mapped onto the MIDI velocities
+const VELOCITY_RANGE_DB = 30;
+const MIN_VELOCITY = 30;
+
+// MIDI velocity for an onset energy, on a decibel scale above the threshold
+export function energyToVelocity(energy, threshold) {
+  const decibels = 20 * Math.log10(Math.max(energy, threshold) / threshold);
+  const amount = Math.min(1, decibels / VELOCITY_RANGE_DB);
+  return Math.round(MIN_VELOCITY + (127 - MIN_VELOCITY) * amount);
+}
+
+class NoteTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.note = null; // The sounding note
+    this.candidate = null; // A pitch waiting to become stable
+    this.silenceStart = null;
+  }
+
+  // Move the gate, e.g. as the room noise changes (see AdaptiveGate.js)
+  setEnergyThreshold(energyThreshold) {
+    this.options.energyThreshold = energyThreshold;
+  }
+
+  // Feed one frame; returns the notes that ended with it
+  process({ time, energy, pitch, clarity }) {
+    const { energyThreshold, releaseRatio, minClarity, referencePitch } = this.options;
+    const midi = pitch && clarity >= minClarity ? frequencyToMidi(pitch, referencePitch) : null;
+    const ended = [];
+
+    if (!this.note) {
+      if (energy >= energyThreshold && midi !== null) {
+        this.trackCandidate(midi, time, energy, () => this.startNote());
+      } else {
+        this.candidate = null;
+      }
+      return ended;
+    }
+
+    // Offset after a stretch of silence
+    if (energy < energyThreshold * releaseRatio) {
+      this.candidate = null;
+      if (this.silenceStart === null) {
+        this.silenceStart = time;
+      } else if (time - this.silenceStart >= this.options.silenceTime) {
+        this.endNote(this.silenceStart, ended);
+      }
+      return ended;
+    }
+    this.silenceStart = null;
+
+    const note = this.note;
+    if (time - note.startTime <= VELOCITY_WINDOW) {
+      note.peakEnergy = Math.max(note.peakEnergy, energy);
+    }
+
+    // Re-articulation of the same pitch
+    if (energy >= energyThreshold &&
+        energy >= note.valley * this.options.onsetRatio &&
+        time - note.startTime >= this.options.minInterOnsetTime) {
+      const pitchNow = midi !== null ? Math.round(midi) : note.pitch;
+      this.endNote(time, ended);
+      this.note = this.createNote(pitchNow, time, energy);
+      return ended;
+    }
+    if (energy > note.peak) {
+      note.peak = energy;
+      note.valley = energy;
+    } else {
+      note.valley = Math.min(note.valley, energy);
+    }
+
+    // Pitch change with hysteresis
+    if (midi !== null && Math.abs(midi - note.pitch) > this.options.pitchTolerance) {
+      this.trackCandidate(midi, time, energy, () => {
+        const { startTime } = this.candidate;
+        this.endNote(startTime, ended);
+        this.startNote();
+      });
+    } else {
+      this.candidate = null;
+    }
+
+    if (this.note && !this.note.isCut && time - this.note.startTime >= this.options.maxDuration) {
+      ended.push(this.buildNote(this.note, this.note.startTime + this.options.maxDuration));
+      this.note.isCut = true;
+    }
+    return ended;
+  }
+
+  // End the sounding note, e.g. when the input stops; returns it (or nothing)
+  flush(time) {
+    const ended = [];
+    if (this.note) {
+      this.endNote(this.silenceStart !== null ? this.silenceStart : time, ended);
+    }
+    this.candidate = null;
+    return ended;
+  }
+
+  // Count the frames a rounded pitch has held and call onStable once it is
+  // stable
+  trackCandidate(midi, time, energy, onStable) {
+    const pitch = Math.round(midi);
+    if (!this.candidate || this.candidate.pitch !== pitch) {
+      this.candidate = { pitch, startTime: time, frames: 0, peakEnergy: 0 };
+    }
+    this.candidate.frames++;
+    this.candidate.peakEnergy = Math.max(this.candidate.peakEnergy, energy);
+    if (this.candidate.frames >= this.options.stableFrames) {
+      onStable();
+    }
+  }
+
+  startNote() {
+    const { pitch, startTime, peakEnergy } = this.candidate;
+    this.note = this.createNote(pitch, startTime, peakEnergy);
+    this.candidate = null;
+    this.silenceStart = null;
+  }
+
+  createNote(pitch, startTime, energy) {
+    return { pitch, startTime, peakEnergy: energy, peak: energy, valley: energy, isCut: false };
+  }
+
+  endNote(endTime, ended) {
+    const note = this.note;
+    this.note = null;
+    this.silenceStart = null;
+    if (!note.isCut && endTime - note.startTime >= this.options.minDuration) {
+      ended.push(this.buildNote(note, Math.min(endTime, note.startTime + this.options.maxDuration)));
+    }
+  }
+
+  buildNote(note, endTime) {
+    return {
+      pitch: Math.max(0, Math.min(127, note.pitch)),
+      startTime: note.startTime,
+      endTime,
+      velocity: energyToVelocity(note.peakEnergy, this.options.energyThreshold)
+    };
+  }
+}
+
+export default NoteTracker;
@@ -0,0 +1,65 @@
+import NoteTracker, { energyToVelocity } from './NoteTracker';
+
+const FRAME_TIME = 0.01;
+const A4 = 440;
+const C5 = 523.25;
+
+// Frames for a list of segments [frequency (0 = silence), energy, seconds]
+function frames(segments) {
+  const result = [];
+  let time = 0;
+  segments.forEach(([pitch, energy, seconds]) => {
+    for (let i = 0; i < Math.round(seconds / FRAME_TIME); i++) {
+      result.push({ time, energy, pitch, clarity: pitch ? 0.95 : 0 });
+      time += FRAME_TIME;
+    }
+  });
+  return result;
+}
+
+function track(segments, options) {
+  const tracker = new NoteTracker(options);
+  const notes = [];
+  frames(segments).forEach(frame => notes.push(...tracker.process(frame)));
+  return notes;
+}
+
+test('a held note becomes a single note', () => {
+  const notes = track([[A4, 0.5, 1], [0, 0, 0.3]]);
+  expect(notes).toHaveLength(1);
+  expect(notes[0].pitch).toBe(69);
+  expect(notes[0].startTime).toBeCloseTo(0);
+  expect(notes[0].endTime).toBeCloseTo(1);
+});
+
+test('vibrato and short glitches do not split a note', () => {
+  const notes = track([
+    [A4, 0.5, 0.3], [A4 * 1.02, 0.5, 0.1], [C5, 0.5, 0.02], [A4, 0.5, 0.3], [0, 0, 0.3]
+  ]);
+  expect(notes.map(note => note.pitch)).toEqual([69]);
+});
+
+test('a stable pitch change starts a new note', () => {
+  const notes = track([[A4, 0.5, 0.5], [C5, 0.5, 0.5], [0, 0, 0.3]]);
+  expect(notes.map(note => note.pitch)).toEqual([69, 72]);
+  expect(notes[0].endTime).toBeCloseTo(notes[1].startTime);
+});
+
+test('repeated notes are separated by their onsets', () => {
+  const notes = track([[A4, 0.6, 0.3], [A4, 0.15, 0.1], [A4, 0.6, 0.3], [0, 0, 0.3]]);
+  expect(notes).toHaveLength(2);
+  expect(notes[1].startTime).toBeCloseTo(0.4);
+});
+
+test('notes are cut at the maximum duration', () => {
+  const notes = track([[A4, 0.5, 2], [0, 0, 0.3]], { maxDuration: 0.5 });
+  expect(notes).toHaveLength(1);
+  expect(notes[0].endTime - notes[0].startTime).toBeCloseTo(0.5);
+});
+
+test('velocity follows the onset energy', () => {
+  const [soft] = track([[A4, 0.12, 0.3], [0, 0, 0.3]]);
+  const [loud] = track([[A4, 2, 0.3], [0, 0, 0.3]]);
+  expect(loud.velocity).toBeGreaterThan(soft.velocity);
+  expect(energyToVelocity(100, 0.1)).toBe(127);
+});
@@ -0,0 +1,85 @@
+// Maps the user's notes into a model's pitch range and the model's answer
+// back into the user's register, so bass players and sopranos get responses
+// too.
+//
+// Policies:
+//   DROP      - notes outside the range are ignored (the old behaviour)
+//   FOLD      - each outside note is moved by octaves into the range
+//   TRANSPOSE - the whole phrase is moved by octaves so most of it fits,
+//               notes still outside are folded
+// mapToRange returns the octave offset to undo on the output with
+// mapFromRange.
+
+export const MAPPING_POLICIES = {
+  DROP: 'drop',
+  FOLD: 'fold',
+  TRANSPOSE: 'transpose'
+};
+
+function foldPitch(pitch, range) {
+  let folded = pitch;
+  while (folded < range.min && folded + 12 <= range.max) folded += 12;
+  while (folded > range.max && folded - 12 >= range.min) folded -= 12;
+  return folded;
+}
+
+function isInRange(pitch, range) {
+  return pitch >= range.min && pitch <= range.max;
+}
+
+// Octave shift (in semitones) that fits most of the phrase into the range,
+// ties going to the smallest shift
+function bestTransposition(pitches, range) {
+  let best = { shift: 0, fitting: -1 };
+  for (let octaves = -6; octaves <= 6; octaves++) {
+    const shift = octaves * 12;
+    const fitting = pitches.filter(pitch => isInRange(pitch + shift, range)).length;
+    if (fitting > best.fitting || (fitting === best.fitting && Math.abs(shift) < Math.abs(best.shift))) {
+      best = { shift, fitting };
+    }
+  }
+  return best.shift;
+}
+
+// The octave shift most notes were moved by
+function mostCommonShift(shifts) {
+  const counts = new Map();
+  shifts.forEach(shift => counts.set(shift, (counts.get(shift) || 0) + 1));
+  let best = { shift: 0, count: 0 };
+  counts.forEach((count, shift) => {
+    if (count > best.count || (count === best.count && Math.abs(shift) < Math.abs(best.shift))) {
+      best = { shift, count };
+    }
+  });
+  return best.shift;
+}
+
+// Returns { notes, offset }: the notes to send to the model and the number
+// of semitones to add to the model's output to bring it back to the user
+export function mapToRange(notes, range, policy = MAPPING_POLICIES.FOLD) {
+  if (policy === MAPPING_POLICIES.DROP) {
+    return { notes: notes.filter(note => isInRange(note.pitch, range)), offset: 0 };
+  }
+
+  const transposition = policy === MAPPING_POLICIES.TRANSPOSE
+    ? bestTransposition(notes.map(note => note.pitch), range)
+    : 0;
+  const mapped = notes
+    .map(note => ({ note, pitch: foldPitch(note.pitch + transposition, range) }))
+    .filter(({ pitch }) => isInRange(pitch, range));
+
+  return {
+    notes: mapped.map(({ note, pitch }) => ({ ...note, pitch })),
+    offset: -mostCommonShift(mapped.map(({ note, pitch }) => pitch - note.pitch))
+  };
+}
+
+// Move generated notes back to the user's register
+export function mapFromRange(notes, offset) {
+  if (offset === 0) {
+    return notes;
+  }
+  return notes
+    .map(note => ({ ...note, pitch: note.pitch + offset }))
+    .filter(note => note.pitch >= 0 && note.pitch <= 127);
+}
@@ -0,0 +1,30 @@
+import { MAPPING_POLICIES, mapFromRange, mapToRange } from './PitchMapping';
+
+const range = { min: 48, max: 83 };
+const note = pitch => ({ pitch, startPosition: 0, endPosition: 1 });
+const pitches = notes => notes.map(n => n.pitch);
+
+// A bass line around E1 - A2
+const bassLine = [note(28), note(33), note(40), note(45)];
+
+test('drop ignores notes outside the range', () => {
+  const { notes, offset } = mapToRange([note(40), note(60)], range, MAPPING_POLICIES.DROP);
+  expect(pitches(notes)).toEqual([60]);
+  expect(offset).toBe(0);
+});
+
+test('fold moves each note into the range and maps the answer back down', () => {
+  const { notes, offset } = mapToRange(bassLine, range, MAPPING_POLICIES.FOLD);
+  notes.forEach(n => {
+    expect(n.pitch).toBeGreaterThanOrEqual(range.min);
+    expect(n.pitch).toBeLessThanOrEqual(range.max);
+  });
+  expect(pitches(mapFromRange([note(60)], offset))).toEqual([60 + offset]);
+  expect(offset).toBeLessThan(0);
+});
+
+test('transpose keeps the shape of the phrase', () => {
+  const { notes, offset } = mapToRange(bassLine, range, MAPPING_POLICIES.TRANSPOSE);
+  expect(pitches(notes)).toEqual([52, 57, 64, 69]);
+  expect(offset).toBe(-24);
+});
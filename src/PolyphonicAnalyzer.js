@@ -0,0 +1,256 @@
+import { recognizeChord } from './ChordAnalyzer';
+import { energyToVelocity } from './NoteTracker';
+import { DEFAULT_REFERENCE_PITCH, frequencyToMidi } from './Tuning';
+
+// Polyphonic input: multi-pitch estimation and chord recognition from the
+// analyser's spectrum (dB per bin, as returned by getFloatFrequencyData),
+// and a tracker that turns the analysed frames into stacked notes.
+//
+// Pitches are the strongest spectral peaks with the overtones of lower peaks
+// removed, and the chord is recognized from their chroma (overtones would add
+// a fifth and a major third above every note). Notes an octave or a twelfth
+// above another note are dropped as overtones, which doesn't change the chord.
+
+export const DEFAULT_POLYPHONIC_OPTIONS = {
+  minFrequency: 60,
+  maxFrequency: 4200,
+  dynamicRange: 40, // dB below the loudest peak that still count
+  minDecibels: -90,
+  maxNotes: 6,
+  minChordScore: 0.3,
+  referencePitch: DEFAULT_REFERENCE_PITCH
+};
+
+const MAX_PEAKS = 24;
+const MAX_HARMONIC = 8;
+const HARMONIC_TOLERANCE = 0.03; // Relative frequency deviation of an overtone
+
+// Local maxima of the spectrum above the noise, loudest first:
+// [{ frequency, midi, magnitude }]
+export function findSpectralPeaks(spectrum, sampleRate, options = {}) {
+  const { minFrequency, maxFrequency, dynamicRange, minDecibels, referencePitch } = { ...DEFAULT_POLYPHONIC_OPTIONS, ...options };
+  const binWidth = sampleRate / (spectrum.length * 2);
+  const firstBin = Math.max(1, Math.floor(minFrequency / binWidth));
+  const lastBin = Math.min(spectrum.length - 2, Math.ceil(maxFrequency / binWidth));
+
+  let loudest = -Infinity;
+  for (let bin = firstBin; bin <= lastBin; bin++) {
+    loudest = Math.max(loudest, spectrum[bin]);
+  }
+  const floor = Math.max(minDecibels, loudest - dynamicRange);
+
+  const peaks = [];
+  for (let bin = firstBin; bin <= lastBin; bin++) {
+    const level = spectrum[bin];
+    if (level > floor && level > spectrum[bin - 1] && level >= spectrum[bin + 1]) {
+      // Parabolic interpolation between the neighbouring bins
+      const before = spectrum[bin - 1];
+      const after = spectrum[bin + 1];
+      const curvature = before - 2 * level + after;
+      const shift = curvature === 0 ? 0 : (before - after) / (2 * curvature);
+      const frequency = (bin + shift) * binWidth;
+      peaks.push({ frequency, midi: frequencyToMidi(frequency, referencePitch), magnitude: Math.pow(10, level / 20) });
+    }
+  }
+  return peaks.sort((a, b) => b.magnitude - a.magnitude).slice(0, MAX_PEAKS);
+}
+
+function isOvertone(frequency, fundamental) {
+  const ratio = frequency / fundamental;
+  const harmonic = Math.round(ratio);
+  return harmonic >= 2 && harmonic <= MAX_HARMONIC && Math.abs(ratio - harmonic) < HARMONIC_TOLERANCE * harmonic;
+}
+
+// Analyse one spectrum: { pitches (MIDI, low to high), chroma, chord }
+// chord is a chord symbol, or null when the chroma doesn't fit one well
+export function analyzeSpectrum(spectrum, sampleRate, options = {}) {
+  const settings = { ...DEFAULT_POLYPHONIC_OPTIONS, ...options };
+  const peaks = findSpectralPeaks(spectrum, sampleRate, settings);
+
+  // Fundamentals: walk up from the lowest peak, skipping overtones
+  const fundamentals = [];
+  [...peaks].sort((a, b) => a.frequency - b.frequency).forEach(peak => {
+    if (!fundamentals.some(fundamental => isOvertone(peak.frequency, fundamental.frequency))) {
+      fundamentals.push(peak);
+    }
+  });
+  const pitches = [...new Set(
+    fundamentals
+      .sort((a, b) => b.magnitude - a.magnitude)
+      .slice(0, settings.maxNotes)
+      .map(peak => Math.round(peak.midi))
+  )].sort((a, b) => a - b);
+
+  const chroma = new Array(12).fill(0);
+  fundamentals.forEach(peak => {
+    chroma[((Math.round(peak.midi) % 12) + 12) % 12] += peak.magnitude;
+  });
+  const recognized = recognizeChord(chroma);
+  const chord = recognized && recognized.score >= settings.minChordScore ? recognized.symbol : null;
+  return { pitches, chroma, chord };
+}
+
+export const DEFAULT_CHORD_TRACKER_OPTIONS = {
+  energyThreshold: 0.1,
+  releaseRatio: 0.5,
+  stableFrames: 3,
+  onsetRatio: 2,
+  minInterOnsetTime: 0.08,
+  silenceTime: 0.1,
+  minDuration: 0.04,
+  maxDuration: Infinity,
+  minPresence: 0.5 // Share of a chord's frames a pitch must be heard in
+};
+
+// Groups analysed frames into chords, like NoteTracker does for single
+// notes: a chord starts when the input gets loud, ends on silence, a new
+// strum (energy onset) or a stable change of chord, and every pitch heard in
+// most of its frames becomes a note. Frames: { time, energy, pitches, chord }.
+class PolyphonicTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_CHORD_TRACKER_OPTIONS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.current = null;
+    this.pending = null; // Frames of a chord change that is not yet stable
+    this.silenceStart = null;
+  }
+
+  // Move the gate, e.g. as the room noise changes (see AdaptiveGate.js)
+  setEnergyThreshold(energyThreshold) {
+    this.options.energyThreshold = energyThreshold;
+  }
+
+  // The chord symbol of the sounding chord, if any
+  getCurrentChord() {
+    return this.current ? this.current.chord : null;
+  }
+
+  // Feed one frame; returns the notes that ended with it
+  process(frame) {
+    const { energyThreshold, releaseRatio, stableFrames } = this.options;
+    const { time, energy } = frame;
+    const ended = [];
+
+    if (!this.current) {
+      if (energy >= energyThreshold && frame.pitches.length > 0) {
+        this.pending = this.pending || this.createChord(time, energy);
+        this.addFrame(this.pending, frame);
+        if (this.pending.frames >= stableFrames) {
+          this.current = this.pending;
+          this.pending = null;
+        }
+      } else {
+        this.pending = null;
+      }
+      return ended;
+    }
+
+    if (energy < energyThreshold * releaseRatio) {
+      this.pending = null;
+      if (this.silenceStart === null) {
+        this.silenceStart = time;
+      } else if (time - this.silenceStart >= this.options.silenceTime) {
+        this.endChord(this.silenceStart, ended);
+      }
+      return ended;
+    }
+    this.silenceStart = null;
+
+    const current = this.current;
+    // A new strum
+    if (energy >= energyThreshold &&
+        energy >= current.valley * this.options.onsetRatio &&
+        time - current.startTime >= this.options.minInterOnsetTime) {
+      this.endChord(time, ended);
+      this.current = this.createChord(time, energy);
+      this.addFrame(this.current, frame);
+      return ended;
+    }
+    if (energy > current.peak) {
+      current.peak = energy;
+      current.valley = energy;
+    } else {
+      current.valley = Math.min(current.valley, energy);
+    }
+
+    // A chord change that holds for a few frames
+    if (frame.chord && current.chord && frame.chord !== current.chord) {
+      if (!this.pending || this.pending.chord !== frame.chord) {
+        this.pending = this.createChord(time, energy);
+      }
+      this.addFrame(this.pending, frame);
+      if (this.pending.frames >= stableFrames) {
+        this.endChord(this.pending.startTime, ended);
+        this.current = this.pending;
+        this.pending = null;
+      }
+    } else {
+      this.pending = null;
+      this.addFrame(current, frame);
+    }
+
+    if (this.current && !this.current.isCut && time - this.current.startTime >= this.options.maxDuration) {
+      ended.push(...this.buildNotes(this.current, this.current.startTime + this.options.maxDuration));
+      this.current.isCut = true;
+    }
+    return ended;
+  }
+
+  flush(time) {
+    const ended = [];
+    if (this.current) {
+      this.endChord(this.silenceStart !== null ? this.silenceStart : time, ended);
+    }
+    this.pending = null;
+    return ended;
+  }
+
+  createChord(startTime, energy) {
+    return { startTime, frames: 0, counts: new Map(), chord: null, chordCounts: new Map(), peakEnergy: energy, peak: energy, valley: energy, isCut: false };
+  }
+
+  addFrame(chord, frame) {
+    chord.frames++;
+    if (frame.time - chord.startTime <= 0.05) {
+      chord.peakEnergy = Math.max(chord.peakEnergy, frame.energy);
+    }
+    frame.pitches.forEach(pitch => chord.counts.set(pitch, (chord.counts.get(pitch) || 0) + 1));
+    if (frame.chord) {
+      chord.chordCounts.set(frame.chord, (chord.chordCounts.get(frame.chord) || 0) + 1);
+      // The most frequent symbol names the chord
+      let best = chord.chord;
+      chord.chordCounts.forEach((count, symbol) => {
+        if (!best || count > chord.chordCounts.get(best)) {
+          best = symbol;
+        }
+      });
+      chord.chord = best;
+    }
+  }
+
+  endChord(endTime, ended) {
+    const chord = this.current;
+    this.current = null;
+    this.silenceStart = null;
+    if (!chord.isCut && endTime - chord.startTime >= this.options.minDuration) {
+      ended.push(...this.buildNotes(chord, Math.min(endTime, chord.startTime + this.options.maxDuration)));
+    }
+  }
+
+  // One note per pitch heard in most of the chord's frames
+  buildNotes(chord, endTime) {
+    const velocity = energyToVelocity(chord.peakEnergy, this.options.energyThreshold);
+    const notes = [];
+    chord.counts.forEach((count, pitch) => {
+      if (count >= chord.frames * this.options.minPresence) {
+        notes.push({ pitch, startTime: chord.startTime, endTime, velocity });
+      }
+    });
+    return notes.sort((a, b) => a.pitch - b.pitch);
+  }
+}
+
+export default PolyphonicTracker;
@@ -0,0 +1,58 @@
+import PolyphonicTracker, { analyzeSpectrum } from './PolyphonicAnalyzer';
+
+const SAMPLE_RATE = 44100;
+const FFT_SIZE = 8192;
+
+const midiToFrequency = midi => 440 * Math.pow(2, (midi - 69) / 12);
+
+// dB spectrum of notes with a few decaying overtones, as an analyser reports it
+function spectrumOf(midiNotes) {
+  const binWidth = SAMPLE_RATE / FFT_SIZE;
+  const magnitudes = new Float32Array(FFT_SIZE / 2).fill(1e-6);
+  midiNotes.forEach(midi => {
+    for (let harmonic = 1; harmonic <= 5; harmonic++) {
+      const bin = midiToFrequency(midi) * harmonic / binWidth;
+      const amplitude = 0.5 / harmonic;
+      // Spread over the two nearest bins
+      const low = Math.floor(bin);
+      magnitudes[low] += amplitude * (1 - (bin - low));
+      magnitudes[low + 1] += amplitude * (bin - low);
+    }
+  });
+  return magnitudes.map(magnitude => 20 * Math.log10(magnitude));
+}
+
+test('recognizes a strummed major chord and its notes', () => {
+  const { pitches, chord } = analyzeSpectrum(spectrumOf([48, 52, 55, 60]), SAMPLE_RATE);
+  expect(chord).toBe('C');
+  expect(pitches).toEqual(expect.arrayContaining([48, 52, 55]));
+});
+
+test('recognizes a minor chord', () => {
+  const { chord } = analyzeSpectrum(spectrumOf([57, 60, 64]), SAMPLE_RATE);
+  expect(chord).toBe('Am');
+});
+
+test('silence has no pitches and no chord', () => {
+  const { pitches, chord } = analyzeSpectrum(new Float32Array(FFT_SIZE / 2).fill(-120), SAMPLE_RATE);
+  expect(pitches).toEqual([]);
+  expect(chord).toBeNull();
+});
+
+test('tracks chords as stacked notes', () => {
+  const tracker = new PolyphonicTracker();
+  const notes = [];
+  const play = (pitches, chord, energy, frames, startFrame) => {
+    for (let i = 0; i < frames; i++) {
+      notes.push(...tracker.process({ time: (startFrame + i) * 0.01, energy, pitches, chord }));
+    }
+  };
+  play([48, 52, 55], 'C', 0.5, 50, 0);
+  play([53, 57, 60], 'F', 0.5, 50, 50);
+  play([], null, 0, 30, 100);
+
+  expect(notes.map(note => note.pitch)).toEqual([48, 52, 55, 53, 57, 60]);
+  expect(notes[0].startTime).toBeCloseTo(0);
+  expect(notes[3].startTime).toBeCloseTo(0.5);
+  expect(notes[5].endTime).toBeCloseTo(1);
+});
@@ -0,0 +1,198 @@
+// Per-user profiles of feedback on AI responses, kept in localStorage.
+// Every rating is stored with the parameters the response was generated with
+// and a few musical features of the response, so the app can lean towards
+// what the user liked (see computeAdaptation).
+
+const STORAGE_KEY = 'smartJam.preferences';
+const FORMAT_VERSION = 1;
+
+export const FEEDBACK = {
+  UP: 'up',
+  DOWN: 'down',
+  KEEP: 'keep' // Liked enough to keep playing it
+};
+
+const FEEDBACK_WEIGHTS = {
+  [FEEDBACK.UP]: 1,
+  [FEEDBACK.KEEP]: 2,
+  [FEEDBACK.DOWN]: -1
+};
+
+// Ratings needed before settings are adapted
+export const MIN_FEEDBACK_FOR_ADAPTATION = 3;
+
+// Only the most recent ratings of a profile are kept
+const MAX_FEEDBACK_PER_PROFILE = 500;
+
+const TEMPERATURE_RANGE = { min: 0.5, max: 2 };
+
+// Musical features of a response (notes in grid positions)
+export function extractFeatures(notes, context) {
+  if (notes.length === 0) {
+    return { noteCount: 0, notesPerBar: 0, minPitch: null, maxPitch: null, meanPitch: null, meanLength: 0 };
+  }
+  const pitches = notes.map(note => note.pitch);
+  const bars = context.numberOfBars || 1;
+  return {
+    noteCount: notes.length,
+    notesPerBar: notes.length / bars,
+    minPitch: Math.min(...pitches),
+    maxPitch: Math.max(...pitches),
+    meanPitch: pitches.reduce((sum, pitch) => sum + pitch, 0) / pitches.length,
+    // In beats, so it doesn't depend on the grid division
+    meanLength: notes.reduce((sum, note) => sum + (note.endPosition - note.startPosition), 0) /
+      notes.length / context.gridDivision
+  };
+}
+
+function weightedMean(entries, value) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  return entries.reduce((sum, entry) => sum + entry.weight * value(entry.item), 0) / total;
+}
+
+// Settings suggested by a profile's feedback:
+//   { temperature, maxNotesPerBar, range: { min, max }, modelId }
+// Each field is null until there is enough feedback to back it.
+export function computeAdaptation(feedback) {
+  const adaptation = { temperature: null, maxNotesPerBar: null, range: null, modelId: null };
+  if (feedback.length < MIN_FEEDBACK_FOR_ADAPTATION) {
+    return adaptation;
+  }
+
+  const rated = feedback.map(item => ({ item, weight: FEEDBACK_WEIGHTS[item.rating] || 0 }));
+  const liked = rated.filter(entry => entry.weight > 0);
+  const disliked = rated.filter(entry => entry.weight < 0).map(entry => ({ ...entry, weight: -entry.weight }));
+
+  if (liked.length > 0) {
+    // Lean towards liked temperatures and away from disliked ones
+    let temperature = weightedMean(liked, item => item.params.temperature);
+    if (disliked.length > 0) {
+      const dislikedTemperature = weightedMean(disliked, item => item.params.temperature);
+      temperature += (temperature - dislikedTemperature) * 0.25;
+    }
+    adaptation.temperature = Math.round(
+      Math.min(TEMPERATURE_RANGE.max, Math.max(TEMPERATURE_RANGE.min, temperature)) * 10
+    ) / 10;
+
+    const withNotes = liked.filter(entry => entry.item.features.noteCount > 0);
+    if (withNotes.length > 0) {
+      adaptation.maxNotesPerBar = Math.max(1, Math.ceil(weightedMean(withNotes, item => item.features.notesPerBar) * 1.25));
+      adaptation.range = {
+        min: Math.min(...withNotes.map(entry => entry.item.features.minPitch)),
+        max: Math.max(...withNotes.map(entry => entry.item.features.maxPitch))
+      };
+    }
+  }
+
+  // The model with the best net rating, if it was rated more than once
+  const byModel = new Map();
+  rated.forEach(({ item, weight }) => {
+    const stats = byModel.get(item.params.modelId) || { score: 0, count: 0 };
+    byModel.set(item.params.modelId, { score: stats.score + weight, count: stats.count + 1 });
+  });
+  let best = null;
+  byModel.forEach((stats, modelId) => {
+    if (stats.count > 1 && stats.score > 0 && (!best || stats.score > best.score)) {
+      best = { modelId, score: stats.score };
+    }
+  });
+  adaptation.modelId = best ? best.modelId : null;
+
+  return adaptation;
+}
+
+class PreferenceStore {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY));
+      if (stored && stored.version === FORMAT_VERSION && stored.profiles[stored.activeProfileId]) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Could not read stored preferences, starting fresh:', error);
+    }
+    const profile = this.buildProfile('default', 'Default');
+    return { version: FORMAT_VERSION, activeProfileId: profile.id, profiles: { [profile.id]: profile } };
+  }
+
+  save() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      console.error('Could not store preferences:', error);
+    }
+  }
+
+  buildProfile(id, name) {
+    return { id, name, createdAt: Date.now(), adapt: false, feedback: [], input: null };
+  }
+
+  getProfiles() {
+    return Object.values(this.data.profiles);
+  }
+
+  getActiveProfile() {
+    return this.data.profiles[this.data.activeProfileId];
+  }
+
+  createProfile(name) {
+    const id = `profile-${Date.now()}`;
+    this.data.profiles[id] = this.buildProfile(id, name);
+    this.data.activeProfileId = id;
+    this.save();
+    return this.data.profiles[id];
+  }
+
+  setActiveProfile(id) {
+    if (!this.data.profiles[id]) {
+      throw new Error(`Unknown profile: ${id}`);
+    }
+    this.data.activeProfileId = id;
+    this.save();
+  }
+
+  setAdaptEnabled(enabled) {
+    this.getActiveProfile().adapt = enabled;
+    this.save();
+  }
+
+  // Store a rating for the active profile.
+  // params: { modelId, temperature, generationMode, constraints }
+  recordFeedback(rating, params, features) {
+    if (!FEEDBACK_WEIGHTS[rating]) {
+      throw new Error(`Unknown feedback: ${rating}`);
+    }
+    const profile = this.getActiveProfile();
+    profile.feedback = [...profile.feedback, { timestamp: Date.now(), rating, params, features }]
+      .slice(-MAX_FEEDBACK_PER_PROFILE);
+    this.save();
+    return profile;
+  }
+
+  // The active profile's instrument detection settings (see
+  // InstrumentProfiles.js): { instrumentId, custom }, or null if never set
+  getInputSettings() {
+    return this.getActiveProfile().input || null;
+  }
+
+  setInputSettings(input) {
+    this.getActiveProfile().input = input;
+    this.save();
+  }
+
+  getAdaptation() {
+    return computeAdaptation(this.getActiveProfile().feedback);
+  }
+
+  // The active profile as a JSON document
+  exportProfile() {
+    return JSON.stringify({ version: FORMAT_VERSION, exportedAt: new Date().toISOString(), profile: this.getActiveProfile() }, null, 2);
+  }
+}
+
+export default PreferenceStore;
@@ -0,0 +1,46 @@
+import PreferenceStore, { FEEDBACK, computeAdaptation } from './PreferenceStore';
+
+const features = (notesPerBar, minPitch, maxPitch) => ({ noteCount: notesPerBar * 4, notesPerBar, minPitch, maxPitch });
+const params = (modelId, temperature) => ({ modelId, temperature });
+
+test('profiles and feedback persist across instances', () => {
+  const store = new PreferenceStore();
+  store.createProfile('Alex');
+  store.recordFeedback(FEEDBACK.UP, params('basic_rnn', 1), features(4, 60, 72));
+
+  const reloaded = new PreferenceStore();
+  expect(reloaded.getActiveProfile().name).toBe('Alex');
+  expect(reloaded.getActiveProfile().feedback).toHaveLength(1);
+  expect(JSON.parse(reloaded.exportProfile()).profile.name).toBe('Alex');
+});
+
+test('every profile keeps its own input settings', () => {
+  const store = new PreferenceStore();
+  expect(store.getInputSettings()).toBeNull();
+  store.setInputSettings({ instrumentId: 'bass', custom: null });
+  store.createProfile('Sam');
+  expect(store.getInputSettings()).toBeNull();
+
+  const reloaded = new PreferenceStore();
+  reloaded.setActiveProfile('default');
+  expect(reloaded.getInputSettings()).toEqual({ instrumentId: 'bass', custom: null });
+});
+
+test('does not adapt before there is enough feedback', () => {
+  const adaptation = computeAdaptation([
+    { rating: FEEDBACK.UP, params: params('basic_rnn', 1), features: features(4, 60, 72) }
+  ]);
+  expect(adaptation).toEqual({ temperature: null, maxNotesPerBar: null, range: null, modelId: null });
+});
+
+test('leans towards liked settings', () => {
+  const adaptation = computeAdaptation([
+    { rating: FEEDBACK.UP, params: params('lookback_rnn', 0.8), features: features(4, 60, 72) },
+    { rating: FEEDBACK.KEEP, params: params('lookback_rnn', 0.8), features: features(4, 62, 74) },
+    { rating: FEEDBACK.DOWN, params: params('basic_rnn', 1.6), features: features(12, 40, 90) }
+  ]);
+  expect(adaptation.temperature).toBeLessThan(0.8);
+  expect(adaptation.maxNotesPerBar).toBe(5);
+  expect(adaptation.range).toEqual({ min: 60, max: 74 });
+  expect(adaptation.modelId).toBe('lookback_rnn');
+});
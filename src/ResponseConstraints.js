@@ -0,0 +1,129 @@
+import { SCALES, detectKey, snapToScale } from './MusicTheory';
+import { getLoopLength, getPositionsPerBar, toLoopPosition } from './SessionContext';
+
+// Musical constraints applied to everything a generator returns, so a model
+// at high temperature can't wander off into chromatic noise.
+//
+// Constraint fields:
+//   keyLock         - KEY_LOCK.OFF, KEY_LOCK.DETECTED (key of the user's
+//                     phrase) or a tonic pitch class 0-11
+//   scale           - key of SCALES used with a fixed tonic
+//   range           - { min, max } MIDI pitches, or null for no limit
+//   maxNotesPerBar  - density cap, 0 for no limit
+//   minNoteLength   - minimum note length in grid positions
+//   instrumentRange - { min, max } pitches the instrument can play; notes
+//                     outside it are removed rather than folded
+
+export const KEY_LOCK = {
+  OFF: 'off',
+  DETECTED: 'detected'
+};
+
+export const DEFAULT_CONSTRAINTS = {
+  keyLock: KEY_LOCK.OFF,
+  scale: 'major',
+  range: null,
+  maxNotesPerBar: 0,
+  minNoteLength: 1,
+  instrumentRange: null
+};
+
+// The key the response is locked to, or null when key lock is off
+export function resolveKey(constraints, phrase) {
+  if (constraints.keyLock === KEY_LOCK.OFF) {
+    return null;
+  }
+  if (constraints.keyLock === KEY_LOCK.DETECTED) {
+    // detectKey only tells apart scale collections, which is all snapping needs
+    const key = detectKey(phrase);
+    return key && { tonic: key.tonic, intervals: SCALES.major.intervals };
+  }
+  const scale = SCALES[constraints.scale] || SCALES.major;
+  return { tonic: Number(constraints.keyLock), intervals: scale.intervals };
+}
+
+function foldIntoRange(pitch, range) {
+  let folded = pitch;
+  while (folded < range.min && folded + 12 <= range.max) folded += 12;
+  while (folded > range.max && folded - 12 >= range.min) folded -= 12;
+  return folded;
+}
+
+// Downbeats outrank beats, beats outrank off-beats
+function metricWeight(position, context) {
+  const positionsPerBar = getPositionsPerBar(context);
+  if (position % positionsPerBar === 0) return 2;
+  if (position % context.gridDivision === 0) return 1;
+  return 0;
+}
+
+// Apply constraints to generated notes (grid positions for the session).
+// phrase is the user's loop, used to detect the key.
+export function applyConstraints(notes, context, constraints, phrase = []) {
+  const settings = { ...DEFAULT_CONSTRAINTS, ...constraints };
+  const key = resolveKey(settings, phrase);
+  const loopLength = getLoopLength(context);
+  const positionsPerBar = getPositionsPerBar(context);
+
+  let constrained = notes.map(note => {
+    let pitch = note.pitch;
+    if (key) {
+      pitch = snapToScale(pitch, key.tonic, key.intervals);
+    }
+    // Octave folding keeps the pitch class, so the note stays in the key
+    if (settings.range) {
+      pitch = foldIntoRange(pitch, settings.range);
+    }
+    return { ...note, pitch };
+  });
+
+  const isInside = (note, range) => !range || (note.pitch >= range.min && note.pitch <= range.max);
+  constrained = constrained.filter(note => isInside(note, settings.range) && isInside(note, settings.instrumentRange));
+
+  // Snapping can put two notes on the same pitch at the same time
+  const seen = new Set();
+  constrained = constrained.filter(note => {
+    const id = `${note.pitch}:${note.startPosition}`;
+    if (seen.has(id)) {
+      return false;
+    }
+    seen.add(id);
+    return true;
+  });
+
+  if (settings.minNoteLength > 1) {
+    constrained = constrained.map(note => {
+      const loopStart = toLoopPosition(note.startPosition, context);
+      const maxLength = loopLength - loopStart;
+      const length = Math.min(Math.max(note.endPosition - note.startPosition, settings.minNoteLength), maxLength);
+      return { ...note, endPosition: note.startPosition + length };
+    });
+  }
+
+  if (settings.maxNotesPerBar > 0) {
+    const bars = new Map();
+    constrained.forEach(note => {
+      const bar = Math.floor(toLoopPosition(note.startPosition, context) / positionsPerBar);
+      if (!bars.has(bar)) {
+        bars.set(bar, []);
+      }
+      bars.get(bar).push(note);
+    });
+    const kept = new Set();
+    bars.forEach(barNotes => {
+      barNotes
+        .slice()
+        .sort((a, b) =>
+          metricWeight(toLoopPosition(b.startPosition, context), context) -
+            metricWeight(toLoopPosition(a.startPosition, context), context) ||
+          (b.velocity || 0) - (a.velocity || 0) ||
+          a.startPosition - b.startPosition
+        )
+        .slice(0, settings.maxNotesPerBar)
+        .forEach(note => kept.add(note));
+    });
+    constrained = constrained.filter(note => kept.has(note));
+  }
+
+  return constrained;
+}
@@ -0,0 +1,41 @@
+import { KEY_LOCK, applyConstraints } from './ResponseConstraints';
+import { createSessionContext } from './SessionContext';
+
+const context = createSessionContext({ bpm: 120, numberOfBars: 1, gridDivision: 4 });
+
+const note = (pitch, startPosition, length = 1, velocity = 100) =>
+  ({ pitch, startPosition, endPosition: startPosition + length, velocity });
+
+const pitches = notes => notes.map(n => n.pitch);
+
+test('locks notes to a fixed key and scale', () => {
+  const response = [note(61, 0), note(66, 4), note(70, 8)];
+  const constrained = applyConstraints(response, context, { keyLock: '0', scale: 'major' });
+  expect(pitches(constrained)).toEqual([60, 65, 69]);
+});
+
+test('locks to the key detected from the phrase', () => {
+  const phrase = [note(67, 0, 4), note(71, 4, 4), note(74, 8, 4), note(66, 12, 4)];
+  const constrained = applyConstraints([note(65, 0)], context, { keyLock: KEY_LOCK.DETECTED }, phrase);
+  expect(pitches(constrained)).toEqual([64]);
+});
+
+test('folds notes into the range and drops notes outside the instrument', () => {
+  const response = [note(84, 0), note(40, 4), note(61, 8)];
+  const constrained = applyConstraints(response, context, {
+    range: { min: 60, max: 72 },
+    instrumentRange: { min: 62, max: 108 }
+  });
+  expect(pitches(constrained)).toEqual([72, 64]);
+});
+
+test('caps density per bar, keeping notes on the beat', () => {
+  const response = [note(60, 0), note(62, 1), note(64, 2), note(65, 4), note(67, 5)];
+  const constrained = applyConstraints(response, context, { maxNotesPerBar: 2 });
+  expect(pitches(constrained)).toEqual([60, 65]);
+});
+
+test('stretches short notes to the minimum length within the loop', () => {
+  const constrained = applyConstraints([note(60, 0), note(62, 15)], context, { minNoteLength: 4 });
+  expect(constrained.map(n => n.endPosition - n.startPosition)).toEqual([4, 1]);
+});
@@ -0,0 +1,78 @@
+// Room calibration: listens to the room for a few seconds while nobody
+// plays, and sets the input gain and the detection gate from the ambient
+// noise. A quiet room gets more gain, so soft playing still stands out; a
+// noisy one (HVAC, fans) gets less, and the gate goes above the noise.
+
+export const DEFAULT_ROOM_DURATION = 3; // Seconds
+// The level the noise floor is brought to by the gain
+const TARGET_NOISE_FLOOR = 0.01;
+const MAX_GAIN_CHANGE = 4; // Either way
+// Share of the quiet frames that may reach the noise floor; louder ones are
+// passing noises, which the gate should still stay above
+const NOISE_PERCENTILE = 0.9;
+export const GATE_RATIO = 4; // The gate over the noise floor (12 dB)
+export const MIN_GATE = 0.02;
+export const MAX_GATE = 0.5;
+
+export function clampGate(threshold) {
+  return Math.min(MAX_GATE, Math.max(MIN_GATE, threshold));
+}
+
+// Settings for the measured frame energies, taken with the given gain:
+// { noiseFloor, gain, energyThreshold } with the noise floor at the new gain
+export function computeRoomSettings(energies, gain) {
+  if (energies.length === 0) {
+    return null;
+  }
+  const sorted = [...energies].sort((a, b) => a - b);
+  const measuredFloor = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * NOISE_PERCENTILE))];
+  const gainChange = measuredFloor > 0
+    ? Math.min(MAX_GAIN_CHANGE, Math.max(1 / MAX_GAIN_CHANGE, TARGET_NOISE_FLOOR / measuredFloor))
+    : MAX_GAIN_CHANGE;
+  const noiseFloor = measuredFloor * gainChange;
+  return {
+    noiseFloor,
+    gain: gain * gainChange,
+    energyThreshold: clampGate(noiseFloor * GATE_RATIO)
+  };
+}
+
+// Detection settings (see InstrumentProfiles.js) with the room's gain and gate
+export function applyRoomSettings(detection, room) {
+  return room ? { ...detection, gain: room.gain, energyThreshold: room.energyThreshold } : detection;
+}
+
+class RoomCalibrator {
+  // pipeline is a CapturePipeline started with the gain the room is
+  // measured at
+  constructor(pipeline, gain) {
+    this.pipeline = pipeline;
+    this.gain = gain;
+  }
+
+  // Listen to the room. onProgress(fraction) is called as it goes. Resolves
+  // with the computeRoomSettings result, or null when no input arrived.
+  async run({ duration = DEFAULT_ROOM_DURATION, onProgress = () => {} } = {}) {
+    const { pipeline } = this;
+    const energies = [];
+    let startTime = null;
+    const previousOnFrame = pipeline.onFrame;
+    pipeline.onFrame = frame => {
+      startTime = startTime === null ? frame.time : startTime;
+      energies.push(frame.energy);
+      onProgress(Math.min(1, (frame.time - startTime) / duration));
+    };
+
+    try {
+      await new Promise(resolve => setTimeout(resolve, duration * 1000));
+    } finally {
+      pipeline.onFrame = previousOnFrame;
+    }
+
+    const result = computeRoomSettings(energies, this.gain);
+    console.log(`Room calibration from ${energies.length} frames:`, result);
+    return result;
+  }
+}
+
+export default RoomCalibrator;
@@ -0,0 +1,41 @@
+import { MAX_GATE, MIN_GATE, computeRoomSettings } from './RoomCalibrator';
+import AdaptiveGate from './AdaptiveGate';
+
+const FRAME_TIME = 0.01;
+
+test('a quiet room gets more gain and the lowest gate', () => {
+  const room = computeRoomSettings(new Array(300).fill(0.001), 20);
+  expect(room.gain).toBe(80);
+  expect(room.energyThreshold).toBe(MIN_GATE);
+});
+
+test('a noisy room gets the gate over its noise, ignoring passing sounds', () => {
+  const energies = new Array(300).fill(0.03);
+  energies[10] = 0.9; // A door
+  const room = computeRoomSettings(energies, 20);
+  expect(room.noiseFloor).toBeCloseTo(0.01);
+  expect(room.gain).toBeCloseTo(20 / 3);
+  expect(room.energyThreshold).toBeCloseTo(0.04);
+  expect(room.energyThreshold).toBeLessThan(MAX_GATE);
+  expect(computeRoomSettings([], 20)).toBeNull();
+});
+
+test('the gate rises with unpitched noise but not with held notes', () => {
+  const gate = new AdaptiveGate(0.04);
+  let time = 0;
+  const feed = (frame, seconds) => {
+    for (let i = 0; i < seconds / FRAME_TIME; i++) {
+      gate.update({ time, ...frame });
+      time += FRAME_TIME;
+    }
+  };
+
+  feed({ energy: 0.5, pitch: 220, clarity: 0.95 }, 10);
+  expect(gate.getThreshold()).toBeCloseTo(0.04);
+
+  feed({ energy: 0.06, pitch: 0, clarity: 0 }, 20);
+  expect(gate.getThreshold()).toBeGreaterThan(0.2);
+
+  feed({ energy: 0.005, pitch: 0, clarity: 0 }, 10);
+  expect(gate.getThreshold()).toBeCloseTo(MIN_GATE);
+});
@@ -0,0 +1,164 @@
+import { detectKey, fromScaleIndex, toScaleIndex } from './MusicTheory';
+import { getLoopLength, getSecondsPerPosition, toLoopPosition } from './SessionContext';
+
+// Model-free call-and-response: answers the user's phrase with classic motif
+// transformations. Output depends only on the input notes and the seed, so the
+// same loop always gets the same answer (and the responder can be unit tested).
+// Notes go in and come out in grid positions for the session, like the models.
+
+const DEFAULT_RANGE = { min: 21, max: 108 };
+
+// Each transformation maps a motif (notes with loop-relative start/end) to a
+// new motif. ctx = { tonic, loopLength, random }
+export const TRANSFORMATIONS = {
+  // Move the phrase up a third, up a fifth or down a fourth within the key
+  transpose: (motif, ctx) => {
+    const degrees = [2, 4, -3][Math.floor(ctx.random() * 3)];
+    return motif.map(note => ({
+      ...note,
+      pitch: fromScaleIndex(toScaleIndex(note.pitch, ctx.tonic) + degrees, ctx.tonic)
+    }));
+  },
+
+  // Mirror the intervals around the first note, staying in the key
+  inversion: (motif, ctx) => {
+    const axis = toScaleIndex(motif[0].pitch, ctx.tonic);
+    return motif.map(note => ({
+      ...note,
+      pitch: fromScaleIndex(2 * axis - toScaleIndex(note.pitch, ctx.tonic), ctx.tonic)
+    }));
+  },
+
+  // Play the phrase backwards in time
+  retrograde: motif => {
+    const first = motif[0].start;
+    const last = Math.max(...motif.map(note => note.end));
+    return motif
+      .map(note => ({ ...note, start: first + last - note.end, end: first + last - note.start }))
+      .sort((a, b) => a.start - b.start);
+  },
+
+  // Twice as slow; whatever no longer fits the loop is dropped
+  augmentation: (motif, ctx) => {
+    const first = motif[0].start;
+    return motif
+      .map(note => ({
+        ...note,
+        start: first + (note.start - first) * 2,
+        end: first + (note.end - first) * 2
+      }))
+      .filter(note => note.start < ctx.loopLength)
+      .map(note => ({ ...note, end: Math.min(note.end, ctx.loopLength) }));
+  },
+
+  // Twice as fast, played twice so the answer spans the same time
+  diminution: motif => {
+    const first = motif[0].start;
+    const half = motif.map(note => ({
+      ...note,
+      start: first + Math.floor((note.start - first) / 2),
+      end: first + Math.max(Math.floor((note.start - first) / 2) + 1, Math.floor((note.end - first) / 2))
+    }));
+    const span = Math.max(1, Math.ceil((Math.max(...motif.map(note => note.end)) - first) / 2));
+    return [...half, ...half.map(note => ({ ...note, start: note.start + span, end: note.end + span }))];
+  },
+
+  // Repeat the motif with its ending moved a step up or down
+  variation: (motif, ctx) => {
+    const step = ctx.random() < 0.5 ? -1 : 1;
+    return motif.map((note, index) => index < motif.length - 1 ? note : {
+      ...note,
+      pitch: fromScaleIndex(toScaleIndex(note.pitch, ctx.tonic) + step, ctx.tonic)
+    });
+  }
+};
+
+// Small seeded PRNG (mulberry32) so responses are reproducible
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed derived from the phrase itself
+function hashMotif(motif) {
+  return motif.reduce((hash, note) => {
+    const value = note.pitch * 31 * 31 + note.start * 31 + (note.end - note.start);
+    return (Math.imul(hash, 31) + value) >>> 0;
+  }, 17);
+}
+
+// Shift notes by octaves until they fit the range
+function fitToRange(pitch, range) {
+  let fitted = pitch;
+  while (fitted < range.min) fitted += 12;
+  while (fitted > range.max) fitted -= 12;
+  return fitted;
+}
+
+// Answer the user's loop.
+// options:
+//   seed            - overrides the seed derived from the notes
+//   variant         - added to the seed to get alternative answers
+//   transformations - names from TRANSFORMATIONS to apply in order; by default
+//                     one or two are picked by the seeded random generator
+//   noteRange       - { min, max } the answer is folded into
+// Returns the answer in grid positions, starting at bar 1 of the next pass.
+export function generateRuleBasedResponse(notes, context, options = {}) {
+  if (notes.length === 0) {
+    return [];
+  }
+
+  const loopLength = getLoopLength(context);
+  const secondsPerPosition = getSecondsPerPosition(context);
+  const motif = notes
+    .map(note => {
+      const start = toLoopPosition(note.startPosition, context);
+      const length = Math.max(1, note.endPosition - note.startPosition);
+      return { pitch: note.pitch, start, end: Math.min(start + length, loopLength), velocity: note.velocity || 100 };
+    })
+    .sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+
+  const seed = (options.seed !== undefined ? options.seed : hashMotif(motif)) + (options.variant || 0);
+  const random = createRandom(seed);
+  const { tonic } = detectKey(notes);
+  const range = options.noteRange || DEFAULT_RANGE;
+
+  let names = options.transformations;
+  if (!names) {
+    const available = Object.keys(TRANSFORMATIONS);
+    names = [available[Math.floor(random() * available.length)]];
+    if (random() < 0.5) {
+      names.push(available[Math.floor(random() * available.length)]);
+    }
+  }
+  console.log(`Rule-based response (seed ${seed}):`, names.join(' + '));
+
+  const ctx = { tonic, loopLength, random };
+  const answer = names.reduce((current, name) => {
+    if (!TRANSFORMATIONS[name]) {
+      throw new Error(`Unknown transformation: ${name}`);
+    }
+    return current.length > 0 ? TRANSFORMATIONS[name](current, ctx) : current;
+  }, motif);
+
+  return answer
+    .filter(note => note.start < loopLength)
+    .map(note => {
+      const end = Math.min(note.end, loopLength);
+      const startPosition = (note.start + context.loopStartOffset) % loopLength;
+      return {
+        pitch: fitToRange(note.pitch, range),
+        startPosition,
+        endPosition: startPosition + (end - note.start),
+        startTime: note.start * secondsPerPosition,
+        endTime: end * secondsPerPosition,
+        velocity: note.velocity
+      };
+    });
+}
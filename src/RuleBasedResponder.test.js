@@ -0,0 +1,50 @@
+import { generateRuleBasedResponse } from './RuleBasedResponder';
+import { createSessionContext } from './SessionContext';
+
+const context = createSessionContext({ bpm: 120, numberOfBars: 2, gridDivision: 4 });
+
+// C4 D4 E4 as quarter notes at the top of the loop
+const phrase = [
+  { pitch: 60, startPosition: 0, endPosition: 4, velocity: 100 },
+  { pitch: 62, startPosition: 4, endPosition: 8, velocity: 100 },
+  { pitch: 64, startPosition: 8, endPosition: 12, velocity: 100 }
+];
+
+const summary = notes => notes.map(note => [note.pitch, note.startPosition, note.endPosition]);
+
+test('answers the same phrase the same way every time', () => {
+  const first = generateRuleBasedResponse(phrase, context);
+  expect(first.length).toBeGreaterThan(0);
+  expect(generateRuleBasedResponse(phrase, context)).toEqual(first);
+});
+
+test('retrograde plays the phrase backwards', () => {
+  const response = generateRuleBasedResponse(phrase, context, { transformations: ['retrograde'] });
+  expect(summary(response)).toEqual([[64, 0, 4], [62, 4, 8], [60, 8, 12]]);
+});
+
+test('inversion mirrors the intervals within the key', () => {
+  const response = generateRuleBasedResponse(phrase, context, { transformations: ['inversion'] });
+  expect(response.map(note => note.pitch)).toEqual([60, 59, 57]);
+});
+
+test('augmentation doubles the rhythm', () => {
+  const response = generateRuleBasedResponse(phrase, context, { transformations: ['augmentation'] });
+  expect(summary(response)).toEqual([[60, 0, 8], [62, 8, 16], [64, 16, 24]]);
+});
+
+test('keeps the answer inside the requested range and the loop', () => {
+  const response = generateRuleBasedResponse(phrase, context, {
+    transformations: ['transpose', 'diminution'],
+    noteRange: { min: 48, max: 62 }
+  });
+  response.forEach(note => {
+    expect(note.pitch).toBeGreaterThanOrEqual(48);
+    expect(note.pitch).toBeLessThanOrEqual(62);
+    expect(note.startPosition).toBeLessThan(32);
+  });
+});
+
+test('returns nothing for an empty loop', () => {
+  expect(generateRuleBasedResponse([], context)).toEqual([]);
+});
@@ -0,0 +1,91 @@
+// Session timing helpers shared by the generators.
+// A session context describes the loop the user is playing into:
+//   bpm             - beats per minute (beat unit = time signature denominator)
+//   timeSignature   - { numerator, denominator }
+//   numberOfBars    - loop length in bars
+//   gridDivision    - grid positions per beat (8 = 32nd notes in 4/4)
+//   loopStartOffset - grid position where bar 1 of the loop starts
+// Magenta models work in quantized steps (4 steps per quarter note), so these
+// helpers translate between grid positions, model steps and seconds.
+
+export const STEPS_PER_QUARTER = 4;
+
+export function createSessionContext({
+  bpm = 120,
+  timeSignature = { numerator: 4, denominator: 4 },
+  numberOfBars = 4,
+  gridDivision = 8,
+  loopStartOffset = 0
+} = {}) {
+  return { bpm, timeSignature, numberOfBars, gridDivision, loopStartOffset };
+}
+
+// Quarter notes per beat (a beat in 6/8 is an eighth note)
+function getQuartersPerBeat(context) {
+  return 4 / context.timeSignature.denominator;
+}
+
+// Tempo in quarter notes per minute, as stored in a NoteSequence
+export function getQpm(context) {
+  return context.bpm * getQuartersPerBeat(context);
+}
+
+export function getPositionsPerBar(context) {
+  return context.timeSignature.numerator * context.gridDivision;
+}
+
+export function getLoopLength(context) {
+  return context.numberOfBars * getPositionsPerBar(context);
+}
+
+export function getSecondsPerPosition(context) {
+  return 60 / context.bpm / context.gridDivision;
+}
+
+export function getStepsPerPosition(context) {
+  return (STEPS_PER_QUARTER * getQuartersPerBeat(context)) / context.gridDivision;
+}
+
+export function getStepsPerBar(context) {
+  return getPositionsPerBar(context) * getStepsPerPosition(context);
+}
+
+export function getLoopSteps(context) {
+  return context.numberOfBars * getStepsPerBar(context);
+}
+
+// Position relative to bar 1 of the loop, wrapped into the loop
+export function toLoopPosition(position, context) {
+  const loopLength = getLoopLength(context);
+  return (((position - context.loopStartOffset) % loopLength) + loopLength) % loopLength;
+}
+
+export function positionToStep(position, context) {
+  return Math.round(toLoopPosition(position, context) * getStepsPerPosition(context));
+}
+
+// Convert a note expressed in model steps into grid positions for the session.
+// Steps are counted from bar 1 of the loop; notes that run past the loop end
+// wrap to the top of the loop and are clipped at the loop boundary.
+export function stepsToGridNote(note, context) {
+  const stepsPerPosition = getStepsPerPosition(context);
+  const loopLength = getLoopLength(context);
+  const secondsPerPosition = getSecondsPerPosition(context);
+
+  const rawStart = Math.floor(note.quantizedStartStep / stepsPerPosition);
+  const duration = Math.max(1, Math.ceil(note.quantizedEndStep / stepsPerPosition) - rawStart);
+  const loopStart = rawStart % loopLength;
+  const loopEnd = Math.min(loopStart + duration, loopLength);
+
+  const startPosition = (loopStart + context.loopStartOffset) % loopLength;
+  const endPosition = startPosition + (loopEnd - loopStart);
+
+  return {
+    pitch: note.pitch,
+    startPosition,
+    endPosition,
+    startTime: loopStart * secondsPerPosition,
+    endTime: loopEnd * secondsPerPosition,
+    velocity: note.velocity || 100
+  };
+}
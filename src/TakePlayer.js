@@ -0,0 +1,41 @@
+import * as Tone from 'tone';
+
+// Plays a recorded take (see App's takes) looped. While the Transport runs
+// the take starts on the next loop boundary so it lines up with the grid;
+// otherwise it starts right away.
+class TakePlayer {
+  constructor() {
+    this.player = null;
+  }
+
+  play(take, context) {
+    this.stop();
+    const buffer = Tone.ToneAudioBuffer.fromArray(take.samples);
+    this.player = new Tone.Player(buffer).toDestination();
+    this.player.loop = true;
+
+    if (Tone.Transport.state === 'started') {
+      const loopTicks = context.numberOfBars * context.timeSignature.numerator * Tone.Transport.PPQ *
+        (4 / context.timeSignature.denominator);
+      const startTicks = Math.ceil(Tone.Transport.ticks / loopTicks) * loopTicks;
+      this.player.sync().start(`${startTicks}i`);
+    } else {
+      this.player.start();
+    }
+  }
+
+  stop() {
+    if (this.player) {
+      this.player.unsync();
+      this.player.stop();
+      this.player.dispose();
+      this.player = null;
+    }
+  }
+
+  dispose() {
+    this.stop();
+  }
+}
+
+export default TakePlayer;
@@ -0,0 +1,79 @@
+import { NOTE_NAMES, pitchClass } from './MusicTheory';
+
+// Concert pitch: the frequency of A4 that every note is measured from.
+// Baroque and orchestral players tune to other references than 440 Hz; the
+// one chosen is used for the tuner, for placing detected notes on the grid
+// and for the pitch of the AI's instruments.
+
+export const DEFAULT_REFERENCE_PITCH = 440;
+export const MIN_REFERENCE_PITCH = 400;
+export const MAX_REFERENCE_PITCH = 480;
+
+export const REFERENCE_PRESETS = [
+  { value: 415, label: '415 Hz (baroque)' },
+  { value: 430, label: '430 Hz (classical)' },
+  { value: 432, label: '432 Hz' },
+  { value: 440, label: '440 Hz (standard)' },
+  { value: 442, label: '442 Hz (orchestra)' },
+  { value: 443, label: '443 Hz' }
+];
+
+const STORAGE_KEY = 'smartJam.referencePitch';
+
+// Fractional MIDI note number of a frequency
+export function frequencyToMidi(frequency, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  return 69 + 12 * Math.log2(frequency / referencePitch);
+}
+
+export function midiToFrequency(midi, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  return referencePitch * Math.pow(2, (midi - 69) / 12);
+}
+
+// The nearest note of a frequency and how far off it is:
+// { midi, note, octave, cents } with cents in -50..50
+export function describePitch(frequency, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  const exact = frequencyToMidi(frequency, referencePitch);
+  const midi = Math.round(exact);
+  return {
+    midi,
+    note: NOTE_NAMES[pitchClass(midi)],
+    octave: Math.floor(midi / 12) - 1,
+    cents: (exact - midi) * 100
+  };
+}
+
+// Steadies the tuner needle: the median of the latest readings, and their
+// spread (max - min, in cents) as a measure of how stable the pitch is
+export function summarizeCents(readings) {
+  if (readings.length === 0) {
+    return null;
+  }
+  const sorted = [...readings].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    cents: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    spread: sorted[sorted.length - 1] - sorted[0]
+  };
+}
+
+export function clampReferencePitch(pitch) {
+  return Math.min(MAX_REFERENCE_PITCH, Math.max(MIN_REFERENCE_PITCH, pitch));
+}
+
+export function loadReferencePitch(storage = window.localStorage) {
+  try {
+    const stored = parseFloat(storage.getItem(STORAGE_KEY));
+    return Number.isFinite(stored) ? clampReferencePitch(stored) : DEFAULT_REFERENCE_PITCH;
+  } catch (error) {
+    console.warn('Could not read the stored reference pitch:', error);
+    return DEFAULT_REFERENCE_PITCH;
+  }
+}
+
+export function saveReferencePitch(pitch, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, String(pitch));
+  } catch (error) {
+    console.error('Could not store the reference pitch:', error);
+  }
+}
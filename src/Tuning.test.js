@@ -0,0 +1,31 @@
+import { describePitch, frequencyToMidi, loadReferencePitch, saveReferencePitch, summarizeCents } from './Tuning';
+
+test('measures notes from the reference pitch', () => {
+  expect(frequencyToMidi(440)).toBeCloseTo(69);
+  expect(frequencyToMidi(415, 415)).toBeCloseTo(69);
+  // A baroque A is a G# at modern pitch
+  expect(Math.round(frequencyToMidi(415))).toBe(68);
+});
+
+test('describes the nearest note and the deviation in cents', () => {
+  const sharp = describePitch(440 * Math.pow(2, 10 / 1200));
+  expect(sharp).toMatchObject({ midi: 69, note: 'A', octave: 4 });
+  expect(sharp.cents).toBeCloseTo(10);
+
+  const flat = describePitch(442 * Math.pow(2, -20 / 1200), 442);
+  expect(flat).toMatchObject({ midi: 69, note: 'A' });
+  expect(flat.cents).toBeCloseTo(-20);
+});
+
+test('summarizes readings with their median and spread', () => {
+  expect(summarizeCents([])).toBeNull();
+  expect(summarizeCents([4, -2, 30, 3, 5])).toEqual({ cents: 4, spread: 32 });
+});
+
+test('stores the reference pitch within the allowed range', () => {
+  expect(loadReferencePitch()).toBe(440);
+  saveReferencePitch(415);
+  expect(loadReferencePitch()).toBe(415);
+  saveReferencePitch(1000);
+  expect(loadReferencePitch()).toBe(480);
+});
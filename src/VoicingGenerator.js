@@ -0,0 +1,101 @@
+import { parseChordSymbol, pitchClass } from './MusicTheory';
+import { getPositionsPerBar } from './SessionContext';
+
+// Builds a comping part (bass line + chord voicings) from a chord progression
+// with one chord symbol per bar. Output notes are in grid positions for the
+// session, like every other generator.
+
+const BASS_RANGE = { min: 36, max: 47 }; // C2 - B2
+const VOICING_CENTER = 60; // voicings are kept around middle C
+const BASS_VELOCITY = 96;
+const CHORD_VELOCITY = 72;
+
+// Every inversion of the chord in close position, placed near the center
+function getVoicingCandidates(chord) {
+  const candidates = [];
+  chord.intervals.forEach((_, inversion) => {
+    const tones = chord.intervals.map((interval, index) =>
+      chord.root + interval + (index < inversion ? 12 : 0)
+    );
+    tones.sort((a, b) => a - b);
+    for (let octave = 3; octave <= 5; octave++) {
+      candidates.push(tones.map(tone => tone + octave * 12));
+    }
+  });
+  return candidates;
+}
+
+// Pick the voicing that moves least from the previous one (or sits closest to
+// the center for the first chord)
+export function chooseVoicing(chord, previousVoicing) {
+  const candidates = getVoicingCandidates(chord);
+  const cost = voicing => {
+    if (!previousVoicing) {
+      const mean = voicing.reduce((sum, pitch) => sum + pitch, 0) / voicing.length;
+      return Math.abs(mean - VOICING_CENTER);
+    }
+    return voicing.reduce((sum, pitch, i) =>
+      sum + Math.abs(pitch - previousVoicing[Math.min(i, previousVoicing.length - 1)]), 0);
+  };
+  return candidates.reduce((best, voicing) => (cost(voicing) < cost(best) ? voicing : best));
+}
+
+// Place a pitch class in the bass octave
+function bassPitch(pitch) {
+  return BASS_RANGE.min + pitchClass(pitch - BASS_RANGE.min);
+}
+
+function makeNote(pitch, startPosition, length, velocity) {
+  return {
+    pitch,
+    startPosition,
+    endPosition: startPosition + length,
+    velocity
+  };
+}
+
+// options.includeChords / options.includeBass select the parts to generate
+export function generateComping(chordProgression, context, options = {}) {
+  const { includeChords = true, includeBass = true } = options;
+  const beatsPerBar = context.timeSignature.numerator;
+  const positionsPerBar = getPositionsPerBar(context);
+  const positionsPerBeat = context.gridDivision;
+  const halfBar = beatsPerBar % 2 === 0 ? positionsPerBar / 2 : null;
+
+  const notes = [];
+  let previousVoicing = null;
+
+  chordProgression.forEach((symbol, bar) => {
+    const chord = parseChordSymbol(symbol);
+    if (!chord) {
+      return;
+    }
+    const barStart = bar * positionsPerBar + context.loopStartOffset;
+
+    if (includeBass) {
+      // Root on the downbeat, fifth on the half bar in even meters
+      const root = bassPitch(chord.root);
+      if (halfBar) {
+        const fifth = bassPitch(chord.root + 7);
+        notes.push(makeNote(root, barStart, halfBar, BASS_VELOCITY));
+        notes.push(makeNote(fifth, barStart + halfBar, halfBar, BASS_VELOCITY));
+      } else {
+        notes.push(makeNote(root, barStart, positionsPerBar, BASS_VELOCITY));
+      }
+    }
+
+    if (includeChords) {
+      // Short chord stabs on every beat after the downbeat
+      const voicing = chooseVoicing(chord, previousVoicing);
+      previousVoicing = voicing;
+      const stabLength = Math.max(1, Math.round(positionsPerBeat / 2));
+      for (let beat = 1; beat < beatsPerBar; beat++) {
+        voicing.forEach(pitch => {
+          notes.push(makeNote(pitch, barStart + beat * positionsPerBeat, stabLength, CHORD_VELOCITY));
+        });
+      }
+    }
+  });
+
+  return notes;
+}
@@ -0,0 +1,51 @@
+import { parseChordSymbol } from './MusicTheory';
+import { createSessionContext } from './SessionContext';
+import { chooseVoicing, generateComping } from './VoicingGenerator';
+
+// One bar per chord on a 16th-note grid
+const context = (numerator, numberOfBars) => createSessionContext({
+  timeSignature: { numerator, denominator: 4 },
+  numberOfBars,
+  gridDivision: 4
+});
+
+const bassNotes = notes => notes.filter(note => note.pitch < 48);
+
+test('plays the root on the downbeat and the fifth on the half bar in 4/4', () => {
+  const notes = generateComping(['C', 'F', 'G'], context(4, 3), { includeChords: false });
+  expect(notes.map(note => [note.pitch, note.startPosition, note.endPosition])).toEqual([
+    [36, 0, 8], [43, 8, 16],
+    [41, 16, 24], [36, 24, 32],
+    [43, 32, 40], [38, 40, 48]
+  ]);
+  notes.forEach(note => {
+    expect(note.pitch).toBeGreaterThanOrEqual(36);
+    expect(note.pitch).toBeLessThanOrEqual(47);
+  });
+});
+
+test('holds the root for the whole bar in 3/4', () => {
+  const notes = bassNotes(generateComping(['C', 'F', 'G'], context(3, 3)));
+  expect(notes.map(note => [note.pitch, note.startPosition, note.endPosition])).toEqual([
+    [36, 0, 12], [41, 12, 24], [43, 24, 36]
+  ]);
+});
+
+test('stabs the chord on every beat after the downbeat', () => {
+  const notes = generateComping(['C'], context(4, 1), { includeBass: false });
+  expect([...new Set(notes.map(note => note.startPosition))]).toEqual([4, 8, 12]);
+});
+
+test('starts near middle C and moves each voice as little as possible', () => {
+  const c = chooseVoicing(parseChordSymbol('C'), null);
+  expect(c).toEqual([55, 60, 64]);
+  const f = chooseVoicing(parseChordSymbol('F'), c);
+  expect(f).toEqual([57, 60, 65]);
+  const g = chooseVoicing(parseChordSymbol('G'), f);
+  g.forEach((pitch, i) => expect(Math.abs(pitch - f[i])).toBeLessThanOrEqual(3));
+});
+
+test('skips bars with unknown chord symbols', () => {
+  const notes = generateComping(['C', 'H7'], context(4, 2));
+  expect(notes.every(note => note.startPosition < 16)).toBe(true);
+});
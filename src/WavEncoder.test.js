@@ -0,0 +1,20 @@
+import { encodeWav } from './WavEncoder';
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+test('writes a mono 16-bit PCM header and the samples', () => {
+  const view = new DataView(encodeWav(new Float32Array([0, 1, -1, 0.5]), 44100));
+  expect(readString(view, 0, 4)).toBe('RIFF');
+  expect(readString(view, 8, 4)).toBe('WAVE');
+  expect(view.getUint16(22, true)).toBe(1);
+  expect(view.getUint32(24, true)).toBe(44100);
+  expect(view.getUint32(40, true)).toBe(8);
+  expect([0, 1, 2, 3].map(i => view.getInt16(44 + i * 2, true))).toEqual([0, 32767, -32768, 16383]);
+});
+
+test('clips samples outside [-1, 1]', () => {
+  const view = new DataView(encodeWav(new Float32Array([2, -2]), 8000));
+  expect(view.getInt16(44, true)).toBe(32767);
+  expect(view.getInt16(46, true)).toBe(-32768);
+});
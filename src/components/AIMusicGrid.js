@@ -1,20 +1,35 @@
 import React, { useRef, useEffect } from 'react';
+import { FEEDBACK } from '../PreferenceStore';
 
 const AIMusicGrid = ({ 
   numberOfBars, 
   playheadPosition, 
   aiNotes,
-  bpm 
+  aiChords = [], // One chord symbol per bar in accompaniment mode
+  harmonyNotes = [], // Harmony voice, drawn as a second layer
+  bpm,
+  gridDivision = 8, // Default to 32nd notes
+  isGenerating = false,
+  candidateCount = 0, // Alternate responses, best first
+  candidateIndex = 0,
+  candidateScore = null, // Ranking score (0-1) of the shown candidate
+  onSelectCandidate,
+  isPinned = false, // A pinned candidate is kept for the next loops
+  onTogglePin,
+  onFeedback, // (rating) => void, see FEEDBACK in PreferenceStore.js
+  feedback = null, // Rating already given to the shown candidate
+  onRespond = null, // Shown as a Respond button when responses are manual
+  canRespond = true
 }) => {
   const canvasRef = useRef(null);
   
   // Constants for the grid
   const BEATS_PER_BAR = 4;
-  const SUBDIVISIONS = 8; // 32nd notes (8 subdivisions per beat)
-  const TOTAL_SUBDIVISIONS = numberOfBars * BEATS_PER_BAR * SUBDIVISIONS;
+  const TOTAL_SUBDIVISIONS = numberOfBars * BEATS_PER_BAR * gridDivision;
   
   // Colors
   const AI_NOTE_COLOR = '#FFA500'; // Orange
+  const HARMONY_NOTE_COLOR = '#26A69A'; // Teal
   const GRID_COLOR = '#ddd';
   const BEAT_GRID_COLOR = '#999';
   const BAR_GRID_COLOR = '#666';
@@ -48,8 +63,8 @@ const AIMusicGrid = ({
       ctx.beginPath();
       ctx.strokeStyle = BEAT_GRID_COLOR;
       ctx.lineWidth = 1;
-      ctx.moveTo(i * subdivisionWidth * SUBDIVISIONS, 0);
-      ctx.lineTo(i * subdivisionWidth * SUBDIVISIONS, height);
+      ctx.moveTo(i * subdivisionWidth * gridDivision, 0);
+      ctx.lineTo(i * subdivisionWidth * gridDivision, height);
       ctx.stroke();
     }
 
@@ -58,15 +73,15 @@ const AIMusicGrid = ({
       ctx.beginPath();
       ctx.strokeStyle = BAR_GRID_COLOR;
       ctx.lineWidth = 2;
-      ctx.moveTo(i * subdivisionWidth * SUBDIVISIONS * BEATS_PER_BAR, 0);
-      ctx.lineTo(i * subdivisionWidth * SUBDIVISIONS * BEATS_PER_BAR, height);
+      ctx.moveTo(i * subdivisionWidth * gridDivision * BEATS_PER_BAR, 0);
+      ctx.lineTo(i * subdivisionWidth * gridDivision * BEATS_PER_BAR, height);
       ctx.stroke();
     }
 
     // Draw playhead
     const totalPositions = numberOfBars * 4;
     if (playheadPosition >= 0 && playheadPosition < totalPositions) {
-      const playheadX = (playheadPosition * subdivisionWidth * SUBDIVISIONS);
+      const playheadX = (playheadPosition * subdivisionWidth * gridDivision);
       ctx.beginPath();
       ctx.strokeStyle = PLAYHEAD_COLOR;
       ctx.lineWidth = 2;
@@ -75,6 +90,17 @@ const AIMusicGrid = ({
       ctx.stroke();
     }
 
+    // Draw the harmony layer underneath the AI notes
+    harmonyNotes.forEach(note => {
+      const startX = note.startPosition * subdivisionWidth;
+      const endX = note.endPosition * subdivisionWidth;
+      const y = height - ((note.pitch - 60) * 5 + height/2);
+      if (y >= 0 && y <= height) {
+        ctx.fillStyle = HARMONY_NOTE_COLOR;
+        ctx.fillRect(startX, y, endX - startX, 8);
+      }
+    });
+
     // Draw AI notes
     if (aiNotes && aiNotes.length > 0) {
       aiNotes.forEach((note, index) => {
@@ -111,12 +137,79 @@ const AIMusicGrid = ({
       ctx.fillText(`${i + 1}`, x + 5, 30);
     }
 
-  }, [numberOfBars, playheadPosition, aiNotes, bpm]);
+    // Draw chord symbols next to the bar numbers
+    ctx.fillStyle = '#b36b00';
+    ctx.font = 'bold 12px Arial';
+    aiChords.slice(0, numberOfBars).forEach((chord, i) => {
+      const x = i * (width / numberOfBars);
+      ctx.fillText(chord, x + 20, 15);
+    });
+
+  }, [numberOfBars, playheadPosition, aiNotes, aiChords, harmonyNotes, bpm, gridDivision]);
 
   return (
     <div style={{ margin: '0 0 10px 0' }}>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px' }}>
         <h3 style={{ margin: '0', color: '#666' }}>AI Response</h3>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          {isGenerating && (
+            <span style={{ color: '#666', fontSize: '0.9em', fontStyle: 'italic' }}>Thinking...</span>
+          )}
+          {onRespond && (
+            <button onClick={onRespond} disabled={!canRespond || isGenerating}>
+              Respond
+            </button>
+          )}
+          {candidateCount > 0 && (
+            <>
+              <button
+                onClick={() => onSelectCandidate((candidateIndex - 1 + candidateCount) % candidateCount)}
+                disabled={candidateCount < 2}
+                title="Previous candidate"
+              >
+                ◀
+              </button>
+              <span style={{ color: '#666', fontSize: '0.9em' }}>
+                {candidateIndex + 1}/{candidateCount}
+                {candidateScore !== null && ` (score ${Math.round(candidateScore * 100)})`}
+              </span>
+              <button
+                onClick={() => onSelectCandidate((candidateIndex + 1) % candidateCount)}
+                disabled={candidateCount < 2}
+                title="Next candidate"
+              >
+                ▶
+              </button>
+              <button
+                onClick={onTogglePin}
+                style={{
+                  backgroundColor: isPinned ? AI_NOTE_COLOR : 'white',
+                  color: isPinned ? 'white' : '#666',
+                  border: `1px solid ${AI_NOTE_COLOR}`,
+                  borderRadius: '3px'
+                }}
+                title="Keep this response for the next loops"
+              >
+                {isPinned ? 'Pinned' : 'Pin'}
+              </button>
+              {onFeedback && [
+                { rating: FEEDBACK.UP, label: '👍', title: 'I like this response' },
+                { rating: FEEDBACK.DOWN, label: '👎', title: 'I don\'t like this response' },
+                { rating: FEEDBACK.KEEP, label: 'Keep', title: 'Keep playing this response' }
+              ].map(option => (
+                <button
+                  key={option.rating}
+                  onClick={() => onFeedback(option.rating)}
+                  title={option.title}
+                  style={{ fontWeight: feedback === option.rating ? 'bold' : 'normal' }}
+                  disabled={feedback !== null}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </>
+          )}
+        </div>
       </div>
       <canvas
         ref={canvasRef}
@@ -0,0 +1,56 @@
+import React from 'react';
+import { DETECTION_FIELDS, WINDOW_SIZES } from '../InstrumentProfiles';
+
+// Editor for the custom instrument profile. Values are kept as typed; they
+// are brought within limits when used (see sanitizeDetectionSettings).
+const DetectionSettingsEditor = ({
+  settings,
+  onChange, // (key, value) => void
+  disabled
+}) => {
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' };
+
+  return (
+    <div style={{
+      maxWidth: '400px',
+      margin: '0 auto 20px',
+      padding: '10px 20px 20px',
+      border: '1px solid #ccc',
+      borderRadius: '10px',
+      backgroundColor: '#f9f9f9'
+    }}>
+      {DETECTION_FIELDS.map(field => (
+        <div key={field.key} style={rowStyle}>
+          <label htmlFor={`detection-${field.key}`}>{field.label}:</label>
+          <input
+            id={`detection-${field.key}`}
+            type="number"
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            value={settings[field.key]}
+            onChange={(e) => onChange(field.key, e.target.value)}
+            disabled={disabled}
+            style={{ width: '80px', padding: '5px' }}
+          />
+        </div>
+      ))}
+      <div style={rowStyle}>
+        <label htmlFor="detection-windowSize">Analysis window (samples):</label>
+        <select
+          id="detection-windowSize"
+          value={settings.windowSize}
+          onChange={(e) => onChange('windowSize', Number(e.target.value))}
+          disabled={disabled}
+          style={{ padding: '5px 10px' }}
+        >
+          {WINDOW_SIZES.map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default DetectionSettingsEditor;
@@ -0,0 +1,122 @@
+import React, { useRef, useEffect } from 'react';
+import { DRUM_LANES } from '../DrumPatternGenerator';
+
+const DrumGrid = ({
+  numberOfBars,
+  playheadPosition,
+  drumNotes,
+  gridDivision = 8 // Default to 32nd notes
+}) => {
+  const canvasRef = useRef(null);
+
+  // Constants for the grid
+  const BEATS_PER_BAR = 4;
+  const TOTAL_SUBDIVISIONS = numberOfBars * BEATS_PER_BAR * gridDivision;
+  const LABEL_WIDTH = 70;
+  const LANE_HEIGHT = 16;
+
+  // Colors
+  const DRUM_NOTE_COLOR = '#9C27B0'; // Purple
+  const LANE_COLOR = '#f5f5f5';
+  const GRID_COLOR = '#ddd';
+  const BEAT_GRID_COLOR = '#999';
+  const BAR_GRID_COLOR = '#666';
+  const PLAYHEAD_COLOR = '#ff4444';
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const gridWidth = width - LABEL_WIDTH;
+
+    // Clear canvas
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width, height);
+
+    // Draw lanes with their labels
+    ctx.font = '10px Arial';
+    DRUM_LANES.forEach((lane, index) => {
+      const y = index * LANE_HEIGHT;
+      if (index % 2 === 0) {
+        ctx.fillStyle = LANE_COLOR;
+        ctx.fillRect(0, y, width, LANE_HEIGHT);
+      }
+      ctx.fillStyle = '#666';
+      ctx.fillText(lane.name, 5, y + LANE_HEIGHT - 4);
+    });
+
+    // Draw grid
+    const subdivisionWidth = gridWidth / TOTAL_SUBDIVISIONS;
+
+    // Draw beat lines
+    for (let i = 0; i <= numberOfBars * BEATS_PER_BAR; i++) {
+      const x = LABEL_WIDTH + i * subdivisionWidth * gridDivision;
+      ctx.beginPath();
+      ctx.strokeStyle = i % BEATS_PER_BAR === 0 ? BAR_GRID_COLOR : BEAT_GRID_COLOR;
+      ctx.lineWidth = i % BEATS_PER_BAR === 0 ? 2 : 1;
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+
+    // Draw lane separators
+    for (let i = 1; i < DRUM_LANES.length; i++) {
+      ctx.beginPath();
+      ctx.strokeStyle = GRID_COLOR;
+      ctx.lineWidth = 1;
+      ctx.moveTo(LABEL_WIDTH, i * LANE_HEIGHT);
+      ctx.lineTo(width, i * LANE_HEIGHT);
+      ctx.stroke();
+    }
+
+    // Draw playhead
+    const totalPositions = numberOfBars * 4;
+    if (playheadPosition >= 0 && playheadPosition < totalPositions) {
+      const playheadX = LABEL_WIDTH + (playheadPosition * subdivisionWidth * gridDivision);
+      ctx.beginPath();
+      ctx.strokeStyle = PLAYHEAD_COLOR;
+      ctx.lineWidth = 2;
+      ctx.moveTo(playheadX, 0);
+      ctx.lineTo(playheadX, height);
+      ctx.stroke();
+    }
+
+    // Draw drum hits, brighter for louder hits
+    if (drumNotes && drumNotes.length > 0) {
+      drumNotes.forEach(note => {
+        const lane = DRUM_LANES.findIndex(l => l.pitch === note.pitch);
+        if (lane === -1) {
+          return;
+        }
+        const x = LABEL_WIDTH + note.startPosition * subdivisionWidth;
+        ctx.globalAlpha = 0.4 + 0.6 * ((note.velocity || 100) / 127);
+        ctx.fillStyle = DRUM_NOTE_COLOR;
+        ctx.fillRect(x + 1, lane * LANE_HEIGHT + 3, Math.max(3, subdivisionWidth - 2), LANE_HEIGHT - 6);
+        ctx.globalAlpha = 1;
+      });
+    }
+
+  }, [numberOfBars, playheadPosition, drumNotes, gridDivision, TOTAL_SUBDIVISIONS]);
+
+  return (
+    <div style={{ margin: '0 0 10px 0' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px' }}>
+        <h3 style={{ margin: '0', color: '#666' }}>AI Drums</h3>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={800}
+        height={DRUM_LANES.length * LANE_HEIGHT}
+        style={{
+          width: '100%',
+          height: `${DRUM_LANES.length * LANE_HEIGHT}px`,
+          border: '1px solid #ccc',
+          borderRadius: '5px'
+        }}
+      />
+    </div>
+  );
+};
+
+export default DrumGrid;
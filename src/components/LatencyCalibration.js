@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { CALIBRATION_SOURCES } from '../LatencyCalibrator';
+
+// Calibration wizard for the input latency: pick how the clicks are picked
+// up, run the measurement, then keep the result (or set the offset by hand).
+const LatencyCalibration = ({
+  latencyMs, // The offset in use for the selected input
+  status, // { state: 'idle' | 'running' | 'done' | 'failed', clicksPlayed, clicks, result }
+  onStart, // (source) => void
+  onAccept,
+  onLatencyChange, // (ms) => void
+  disabled
+}) => {
+  const [source, setSource] = useState(CALIBRATION_SOURCES.CLICKS);
+  const isCalibrating = status.state === 'running';
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' };
+
+  return (
+    <div style={{ marginTop: '15px', paddingTop: '10px', borderTop: '1px solid #ddd' }}>
+      <div style={rowStyle}>
+        <label htmlFor="latency-offset">Input latency (ms):</label>
+        <input
+          id="latency-offset"
+          type="number"
+          min="0"
+          max="500"
+          value={latencyMs}
+          onChange={(e) => onLatencyChange(Math.min(500, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+          disabled={disabled || isCalibrating}
+          style={{ width: '60px', padding: '5px' }}
+        />
+      </div>
+      <div style={rowStyle}>
+        <select
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          disabled={disabled || isCalibrating}
+          style={{ padding: '5px 10px' }}
+        >
+          <option value={CALIBRATION_SOURCES.CLICKS}>Microphone hears the speakers</option>
+          <option value={CALIBRATION_SOURCES.CLAPS}>I clap along (headphones)</option>
+        </select>
+        <button onClick={() => onStart(source)} disabled={disabled || isCalibrating}>
+          Calibrate
+        </button>
+      </div>
+      <p style={{ margin: '10px 0 0 0', fontSize: '0.9em', color: '#666' }}>
+        {status.state === 'idle' && (source === CALIBRATION_SOURCES.CLICKS
+          ? 'Turn the speakers up so the microphone can hear the clicks.'
+          : 'Clap exactly on each click you hear.')}
+        {isCalibrating && `Listening... click ${status.clicksPlayed} of ${status.clicks}`}
+        {status.state === 'failed' && 'Could not hear enough clicks. Turn the volume up or try clapping along.'}
+        {status.state === 'done' && `Measured ${Math.round(status.result.latency * 1000)} ms ` +
+          `(± ${Math.round(status.result.deviation * 1000)} ms, ${status.result.matched} of ${status.clicks} clicks)`}
+      </p>
+      {status.state === 'done' && (
+        <button onClick={onAccept} style={{ marginTop: '5px' }}>
+          Use {Math.round(status.result.latency * 1000)} ms
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LatencyCalibration;
@@ -1,4 +1,5 @@
 import React, { useRef, useEffect } from 'react';
+import { midiToNoteName } from '../MusicTheory';
 
 const MusicGrid = ({ 
   numberOfBars, 
@@ -6,6 +7,7 @@ const MusicGrid = ({
   userNotes,
   bpm,
   validNoteRange = { min: 48, max: 83 }, // Default values as fallback
+  mapsOutOfRangeNotes = false, // Out-of-range notes are moved into range, not dropped
   gridDivision = 8, // Default to 32nd notes
   isAddMode,
   onModeChange
@@ -19,6 +21,7 @@ const MusicGrid = ({
   // Colors
   const USER_NOTE_COLOR = '#4CAF50';
   const INVALID_NOTE_COLOR = '#cccccc'; // Grey for invalid notes
+  const MAPPED_NOTE_COLOR = '#A5D6A7'; // Light green for notes moved into range
   const GRID_COLOR = '#ddd';
   const BEAT_GRID_COLOR = '#999';
   const BAR_GRID_COLOR = '#666';
@@ -104,7 +107,11 @@ const MusicGrid = ({
         if (y >= 0 && y <= height) {
           // Check if note is within valid range
           const isInValidRange = midiNote >= validNoteRange.min && midiNote <= validNoteRange.max;
-          ctx.fillStyle = isInValidRange ? USER_NOTE_COLOR : INVALID_NOTE_COLOR;
+          if (isInValidRange) {
+            ctx.fillStyle = USER_NOTE_COLOR;
+          } else {
+            ctx.fillStyle = mapsOutOfRangeNotes ? MAPPED_NOTE_COLOR : INVALID_NOTE_COLOR;
+          }
           ctx.fillRect(startX, y, width, 8);
         }
       });
@@ -129,10 +136,10 @@ const MusicGrid = ({
     // Draw pitch range labels
     ctx.fillStyle = '#666';
     ctx.font = '10px Arial';
-    ctx.fillText(`C3 (${validNoteRange.min})`, 5, minY - 5);
-    ctx.fillText(`B5 (${validNoteRange.max})`, 5, maxY - 5);
+    ctx.fillText(`${midiToNoteName(validNoteRange.min)} (${validNoteRange.min})`, 5, minY - 5);
+    ctx.fillText(`${midiToNoteName(validNoteRange.max)} (${validNoteRange.max})`, 5, maxY - 5);
 
-  }, [numberOfBars, playheadPosition, userNotes, bpm, validNoteRange, gridDivision]);
+  }, [numberOfBars, playheadPosition, userNotes, bpm, validNoteRange, mapsOutOfRangeNotes, gridDivision]);
 
   return (
     <div style={{ margin: '0 0 10px 0' }}>
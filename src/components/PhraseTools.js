@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+
+// MusicVAE tools on whole phrases: variations of the user's loop,
+// interpolation between saved phrases and morphing the AI response toward
+// the user's playing. Interpolations play one step per loop in the AI grid.
+const PhraseTools = ({
+  savedPhrases,
+  onSavePhrase, // (source: 'user' | 'ai') => void
+  onDeletePhrase,
+  onGenerateVariations, // (count) => void
+  onInterpolate, // (fromId, toId, loops) => void
+  onMorph, // (loops) => void
+  onAccept,
+  onStopProgression,
+  hasUserLoop,
+  hasAiResponse,
+  isBusy,
+  progress, // { step, steps } while an interpolation plays, otherwise null
+  message
+}) => {
+  const [variationCount, setVariationCount] = useState(4);
+  const [loops, setLoops] = useState(4);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+
+  // Forget selections whose phrase has been deleted
+  useEffect(() => {
+    const exists = id => savedPhrases.some(phrase => String(phrase.id) === id);
+    setFromId(previous => (previous === '' || exists(previous) ? previous : ''));
+    setToId(previous => (previous === '' || exists(previous) ? previous : ''));
+  }, [savedPhrases]);
+
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' };
+  const canInterpolate = fromId !== '' && toId !== '' && fromId !== toId;
+
+  return (
+    <div style={{
+      maxWidth: '760px',
+      margin: '0 auto 20px',
+      padding: '20px',
+      border: '1px solid #ccc',
+      borderRadius: '10px',
+      backgroundColor: '#f9f9f9'
+    }}>
+      <h3 style={{ margin: '0 0 15px 0', color: '#666' }}>Phrase Tools</h3>
+
+      <div style={rowStyle}>
+        <label htmlFor="variation-count">Variations of my loop:</label>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <input
+            id="variation-count"
+            type="number"
+            min="1"
+            max="8"
+            value={variationCount}
+            onChange={(e) => setVariationCount(Math.min(8, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            style={{ width: '50px', padding: '5px' }}
+          />
+          <button onClick={() => onGenerateVariations(variationCount)} disabled={!hasUserLoop || isBusy}>
+            Generate
+          </button>
+        </div>
+      </div>
+
+      <div style={rowStyle}>
+        <span>Save phrase:</span>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <button onClick={() => onSavePhrase('user')} disabled={!hasUserLoop}>My loop</button>
+          <button onClick={() => onSavePhrase('ai')} disabled={!hasAiResponse}>AI response</button>
+        </div>
+      </div>
+
+      {savedPhrases.length > 0 && (
+        <ul style={{ margin: '10px 0 0 0', padding: 0, listStyle: 'none', textAlign: 'left' }}>
+          {savedPhrases.map(phrase => (
+            <li key={phrase.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '2px 0' }}>
+              <span>{phrase.name} ({phrase.notes.length} notes)</span>
+              <button onClick={() => onDeletePhrase(phrase.id)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div style={rowStyle}>
+        <label htmlFor="interpolation-loops">Loops per transition:</label>
+        <input
+          id="interpolation-loops"
+          type="number"
+          min="2"
+          max="16"
+          value={loops}
+          onChange={(e) => setLoops(Math.min(16, Math.max(2, parseInt(e.target.value, 10) || 2)))}
+          style={{ width: '50px', padding: '5px' }}
+        />
+      </div>
+
+      <div style={rowStyle}>
+        <span>Interpolate:</span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <select value={fromId} onChange={(e) => setFromId(e.target.value)} style={{ padding: '5px' }}>
+            <option value="">From...</option>
+            {savedPhrases.map(phrase => <option key={phrase.id} value={phrase.id}>{phrase.name}</option>)}
+          </select>
+          <select value={toId} onChange={(e) => setToId(e.target.value)} style={{ padding: '5px' }}>
+            <option value="">To...</option>
+            {savedPhrases.map(phrase => <option key={phrase.id} value={phrase.id}>{phrase.name}</option>)}
+          </select>
+          <button onClick={() => onInterpolate(fromId, toId, loops)} disabled={!canInterpolate || isBusy}>
+            Start
+          </button>
+        </div>
+      </div>
+
+      <div style={rowStyle}>
+        <span>Morph the AI response toward my loop:</span>
+        <button onClick={() => onMorph(loops)} disabled={!hasUserLoop || !hasAiResponse || isBusy}>
+          Morph
+        </button>
+      </div>
+
+      <div style={rowStyle}>
+        <span>Use the AI response as my loop:</span>
+        <button onClick={onAccept} disabled={!hasAiResponse}>Accept</button>
+      </div>
+
+      {progress && (
+        <div style={rowStyle}>
+          <span>Step {progress.step} of {progress.steps}</span>
+          <button onClick={onStopProgression}>Stop</button>
+        </div>
+      )}
+      {isBusy && (
+        <p style={{ margin: '10px 0 0 0', color: '#666', fontStyle: 'italic', textAlign: 'left' }}>Working...</p>
+      )}
+      {message && (
+        <p style={{ margin: '10px 0 0 0', fontSize: '0.9em', color: '#ff4444', textAlign: 'left' }}>{message}</p>
+      )}
+    </div>
+  );
+};
+
+export default PhraseTools;
@@ -0,0 +1,71 @@
+import React from 'react';
+
+// Room calibration: measure the ambient noise to set the gain and the
+// detection gate, optionally before every jam, and let the gate follow the
+// noise while playing.
+const RoomCalibration = ({
+  status, // { state: 'idle' | 'running' | 'done' | 'failed', progress, result }
+  onCalibrate,
+  onReset,
+  calibrateOnStart,
+  onCalibrateOnStartChange, // (checked) => void
+  isAdaptive,
+  onAdaptiveChange, // (checked) => void
+  disabled
+}) => {
+  const isCalibrating = status.state === 'running';
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' };
+
+  return (
+    <div style={{
+      maxWidth: '400px',
+      margin: '0 auto 20px',
+      padding: '10px 20px 20px',
+      border: '1px solid #ccc',
+      borderRadius: '10px',
+      backgroundColor: '#f9f9f9'
+    }}>
+      <div style={rowStyle}>
+        <button onClick={onCalibrate} disabled={disabled || isCalibrating}>
+          Calibrate room
+        </button>
+        {status.state === 'done' && (
+          <button onClick={onReset} disabled={disabled}>
+            Use profile settings
+          </button>
+        )}
+      </div>
+      <div style={rowStyle}>
+        <label>
+          <input
+            type="checkbox"
+            checked={calibrateOnStart}
+            onChange={(e) => onCalibrateOnStartChange(e.target.checked)}
+            disabled={disabled}
+          />
+          {' '}Calibrate when the jam starts
+        </label>
+      </div>
+      <div style={rowStyle}>
+        <label>
+          <input
+            type="checkbox"
+            checked={isAdaptive}
+            onChange={(e) => onAdaptiveChange(e.target.checked)}
+            disabled={disabled}
+          />
+          {' '}Adapt the gate to the noise while playing
+        </label>
+      </div>
+      <p style={{ margin: '10px 0 0 0', fontSize: '0.9em', color: '#666' }}>
+        {status.state === 'idle' && 'Stay quiet for a few seconds while the room is measured.'}
+        {isCalibrating && `Listening to the room... ${Math.round(status.progress * 100)}%`}
+        {status.state === 'failed' && 'Could not measure the room.'}
+        {status.state === 'done' && `Noise floor ${status.result.noiseFloor.toFixed(3)}, ` +
+          `gate ${status.result.energyThreshold.toFixed(3)}, gain ${status.result.gain.toFixed(1)}`}
+      </p>
+    </div>
+  );
+};
+
+export default RoomCalibration;
@@ -0,0 +1,73 @@
+import React from 'react';
+
+// Recorded takes: the microphone audio of a loop pass with the notes detected
+// in it. While recording is armed every pass becomes a take; with
+// retroactive capture the last pass can still be kept afterwards.
+const Takes = ({
+  takes,
+  isArmed,
+  onToggleArm,
+  isRetroactive,
+  onToggleRetroactive,
+  onKeepLastLoop,
+  canKeepLastLoop,
+  auditioningId, // The take playing against the grid, or null
+  onAudition, // (id) => void
+  onStopAudition,
+  onExport, // (id) => void
+  onDelete // (id) => void
+}) => {
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' };
+
+  return (
+    <div style={{
+      maxWidth: '760px',
+      margin: '0 auto 20px',
+      padding: '20px',
+      border: '1px solid #ccc',
+      borderRadius: '10px',
+      backgroundColor: '#f9f9f9'
+    }}>
+      <h3 style={{ margin: '0 0 15px 0', color: '#666' }}>Takes</h3>
+
+      <div style={rowStyle}>
+        <button
+          onClick={onToggleArm}
+          style={{ backgroundColor: isArmed ? '#f44336' : undefined, color: isArmed ? 'white' : undefined }}
+        >
+          {isArmed ? '● Recording every loop' : 'Arm recording'}
+        </button>
+        <label>
+          <input type="checkbox" checked={isRetroactive} onChange={(e) => onToggleRetroactive(e.target.checked)} />
+          {' '}Retroactive capture
+        </label>
+        <button onClick={onKeepLastLoop} disabled={!canKeepLastLoop}>
+          Keep last loop
+        </button>
+      </div>
+
+      {takes.length === 0 ? (
+        <p style={{ margin: '10px 0 0 0', fontSize: '0.9em', color: '#666' }}>No takes yet.</p>
+      ) : (
+        takes.map(take => (
+          <div key={take.id} style={rowStyle}>
+            <span>
+              {take.name} ({take.duration.toFixed(1)} s, {take.notes.length} notes)
+            </span>
+            <div style={{ display: 'flex', gap: '10px' }}>
+              {auditioningId === take.id ? (
+                <button onClick={onStopAudition}>Stop</button>
+              ) : (
+                <button onClick={() => onAudition(take.id)}>Audition</button>
+              )}
+              <button onClick={() => onExport(take.id)}>Export WAV</button>
+              <button onClick={() => onDelete(take.id)}>Delete</button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Takes;
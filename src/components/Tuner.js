@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { REFERENCE_PRESETS, MIN_REFERENCE_PITCH, MAX_REFERENCE_PITCH, clampReferencePitch } from '../Tuning';
+
+// Within this many cents a note counts as in tune
+const IN_TUNE_CENTS = 5;
+// Readings that spread over more cents than this are still settling
+const STEADY_SPREAD = 8;
+
+// Tuner view: the nearest note, its deviation in cents on a needle (which
+// only turns green once the pitch is in tune and steady), and the reference
+// pitch everything is tuned to.
+const Tuner = ({
+  tuning, // { note, octave, cents, spread, frequency } or null when nothing is heard
+  referencePitch,
+  onReferencePitchChange, // (hz) => void
+  isOn, // The tuner is listening on its own, outside a jam
+  onToggle,
+  isJamming
+}) => {
+  // What is being typed as the reference; applied when the field is left
+  const [draftPitch, setDraftPitch] = useState(null);
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' };
+  const isSteady = tuning && tuning.spread <= STEADY_SPREAD;
+  const isInTune = isSteady && Math.abs(tuning.cents) <= IN_TUNE_CENTS;
+  const needleColor = !tuning ? '#ccc' : isInTune ? '#4CAF50' : isSteady ? '#FF9800' : '#bbb';
+  // -50..50 cents across the scale
+  const needlePosition = tuning ? 50 + Math.max(-50, Math.min(50, tuning.cents)) : 50;
+
+  return (
+    <div style={{
+      maxWidth: '760px',
+      margin: '0 auto 20px',
+      padding: '20px',
+      border: '1px solid #ccc',
+      borderRadius: '10px',
+      backgroundColor: '#f9f9f9'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0, color: '#666' }}>Tuner</h3>
+        {!isJamming && (
+          <button onClick={onToggle}>{isOn ? 'Stop tuner' : 'Start tuner'}</button>
+        )}
+      </div>
+
+      <div style={{ textAlign: 'center', marginTop: '10px' }}>
+        <p style={{ margin: 0, fontSize: '2em', fontWeight: 'bold' }}>
+          {tuning ? tuning.note : '-'}
+          <span style={{ fontSize: '0.5em', verticalAlign: 'super' }}>{tuning ? tuning.octave : ''}</span>
+        </p>
+        <p style={{ margin: '5px 0 0 0', fontSize: '0.9em', color: '#666' }}>
+          {tuning
+            ? `${tuning.cents > 0 ? '+' : ''}${Math.round(tuning.cents)} cents (${tuning.frequency.toFixed(1)} Hz)`
+            : '--'}
+        </p>
+      </div>
+
+      <div style={{ position: 'relative', height: '30px', margin: '10px 0', backgroundColor: '#eee', borderRadius: '5px' }}>
+        {/* The in tune zone */}
+        <div style={{
+          position: 'absolute',
+          left: `${50 - IN_TUNE_CENTS}%`,
+          width: `${2 * IN_TUNE_CENTS}%`,
+          height: '100%',
+          backgroundColor: '#C8E6C9'
+        }} />
+        <div style={{
+          position: 'absolute',
+          left: `calc(${needlePosition}% - 2px)`,
+          width: '4px',
+          height: '100%',
+          backgroundColor: needleColor,
+          transition: 'left 0.1s ease-out'
+        }} />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8em', color: '#999' }}>
+        <span>-50</span>
+        <span>0</span>
+        <span>+50</span>
+      </div>
+
+      <div style={rowStyle}>
+        <label htmlFor="reference-pitch">Reference pitch (A4, Hz):</label>
+        <div>
+          <select
+            value={REFERENCE_PRESETS.some(preset => preset.value === referencePitch) ? referencePitch : ''}
+            onChange={(e) => onReferencePitchChange(Number(e.target.value))}
+            disabled={isJamming}
+            style={{ padding: '5px 10px', marginRight: '10px' }}
+          >
+            <option value="" disabled>Custom</option>
+            {REFERENCE_PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+          </select>
+          <input
+            id="reference-pitch"
+            type="number"
+            min={MIN_REFERENCE_PITCH}
+            max={MAX_REFERENCE_PITCH}
+            step="0.5"
+            value={draftPitch !== null ? draftPitch : referencePitch}
+            onChange={(e) => setDraftPitch(e.target.value)}
+            onBlur={() => {
+              const pitch = parseFloat(draftPitch);
+              if (Number.isFinite(pitch)) {
+                onReferencePitchChange(clampReferencePitch(pitch));
+              }
+              setDraftPitch(null);
+            }}
+            disabled={isJamming}
+            style={{ width: '70px', padding: '5px' }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Tuner;
@@ -0,0 +1,27 @@
+// Registers public/service-worker.js so the app and its models keep working
+// offline. Only enabled in production builds; the dev server reloads too often
+// for cached assets to be useful.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(registration => {
+        console.log('Service worker registered with scope:', registration.scope);
+      })
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch(error => console.error(error.message));
+  }
+}
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Tests that save settings use jsdom's localStorage; start each one empty
+beforeEach(() => {
+  window.localStorage.clear();
+});
@@ -0,0 +1,136 @@
+/* eslint-disable no-restricted-globals */
+/* global importScripts, tf, music_rnn, music_vae */
+// Runs Magenta model loading and inference off the main thread so pitch
+// detection and the playhead keep running while a response is generated.
+//
+// Messages in:  { id, type, payload }
+//   init     - { libraryUrls: [[url, ...], ...] } script sets to try in order
+//   load     - { key, modelType, checkpointUrl } load a model under a key
+//   continue - { key, sequence, steps, temperature, chordProgression }
+//   similar  - { key, sequence, numSamples, similarity, temperature }
+//   interpolate - { key, sequences: [start, end], numInterps, temperature }
+//   cancel   - { requestId } drop a queued or running request
+// Messages out: { id, result } | { id, error } | { id, cancelled: true }
+
+const models = new Map();
+const cancelled = new Set();
+let queue = Promise.resolve();
+let isLibraryLoaded = false;
+
+function loadLibrary({ libraryUrls }) {
+  if (isLibraryLoaded) {
+    return 'already loaded';
+  }
+  const errors = [];
+  for (const urls of libraryUrls) {
+    try {
+      importScripts(...urls);
+      isLibraryLoaded = true;
+      return urls[urls.length - 1];
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  throw new Error(`Could not load Magenta: ${errors.join('; ')}`);
+}
+
+function createModel(modelType, checkpointUrl) {
+  switch (modelType) {
+    case 'MusicRNN':
+      return new music_rnn.MusicRNN(checkpointUrl);
+    case 'MusicVAE':
+      return new music_vae.MusicVAE(checkpointUrl);
+    default:
+      throw new Error(`Don't know how to create a ${modelType} model`);
+  }
+}
+
+async function loadModel({ key, modelType, checkpointUrl }) {
+  const model = createModel(modelType, checkpointUrl);
+  await model.initialize();
+
+  const previousModel = models.get(key);
+  models.set(key, model);
+  if (previousModel) {
+    previousModel.dispose();
+  }
+  return { key, backend: tf.getBackend() };
+}
+
+function getModel(key) {
+  const model = models.get(key);
+  if (!model) {
+    throw new Error(`No model loaded for "${key}"`);
+  }
+  return model;
+}
+
+// NoteSequence protos don't survive postMessage, plain notes do
+function toPlainSequence(sequence) {
+  return {
+    notes: sequence.notes.map(note => ({
+      pitch: note.pitch,
+      quantizedStartStep: note.quantizedStartStep,
+      quantizedEndStep: note.quantizedEndStep,
+      velocity: note.velocity,
+      isDrum: note.isDrum
+    })),
+    totalQuantizedSteps: sequence.totalQuantizedSteps
+  };
+}
+
+async function continueSequence({ key, sequence, steps, temperature, chordProgression }) {
+  const result = await getModel(key).continueSequence(sequence, steps, temperature, chordProgression);
+  return toPlainSequence(result);
+}
+
+async function similar({ key, sequence, numSamples, similarity, temperature }) {
+  const results = await getModel(key).similar(sequence, numSamples, similarity, temperature);
+  return results.map(toPlainSequence);
+}
+
+// Returns numInterps sequences, the two inputs included
+async function interpolate({ key, sequences, numInterps, temperature }) {
+  const results = await getModel(key).interpolate(sequences, numInterps, temperature);
+  return results.map(toPlainSequence);
+}
+
+const handlers = {
+  init: loadLibrary,
+  load: loadModel,
+  continue: continueSequence,
+  similar,
+  interpolate
+};
+
+async function handleRequest({ id, type, payload }) {
+  if (cancelled.delete(id)) {
+    postMessage({ id, cancelled: true });
+    return;
+  }
+  try {
+    const result = await handlers[type](payload);
+    if (cancelled.delete(id)) {
+      postMessage({ id, cancelled: true });
+    } else {
+      postMessage({ id, result });
+    }
+  } catch (error) {
+    cancelled.delete(id);
+    postMessage({ id, error: error.message });
+  }
+}
+
+self.addEventListener('message', event => {
+  const message = event.data;
+  if (message.type === 'cancel') {
+    cancelled.add(message.payload.requestId);
+    return;
+  }
+  if (!handlers[message.type]) {
+    postMessage({ id: message.id, error: `Unknown request type: ${message.type}` });
+    return;
+  }
+  // Requests run one at a time so a cancelled request never starts
+  queue = queue.then(() => handleRequest(message));
+});